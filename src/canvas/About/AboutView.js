@@ -1,5 +1,4 @@
 import { DOMPlane } from '../DOMPlane';
-import TextureCache from '../utils/TextureCache';
 import vertexShader from './shaders/sliderVert.glsl';
 import fragmentShader from './shaders/sliderFrag.glsl';
 
@@ -10,7 +9,11 @@ export class AboutView extends DOMPlane {
 			shaders: {
 				vertex: vertexShader,
 				fragment: fragmentShader,
+				// Red and blue both trail on the same side
+				defines: { RGB_SHIFT_B: '2.0' },
 			},
+			// Slides are moved by smooothy transforms, not scroll
+			liveMeasure: true,
 		});
 		this.template = options.template || document;
 		this.loadImages();
@@ -23,84 +26,40 @@ export class AboutView extends DOMPlane {
 
 		if (!images.length) return;
 
-		let settled = 0;
-		const uniqueSrcs = new Map();
-
-		images.forEach((img) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			if (!src || uniqueSrcs.has(src)) return;
-			uniqueSrcs.set(src, img);
-		});
-
-		const done = () => {
-			settled++;
-			if (settled === uniqueSrcs.size) {
-				this.createPlanes(images);
-			}
-		};
-
-		uniqueSrcs.forEach((img, src) => {
-			TextureCache.load(src)
-				.then((texture) => {
-					this.textures.push({ texture, src });
-					done();
+		// Each plane appears on its own, starting from a placeholder
+		images.forEach((img, index) => {
+			this.loadPlane(img, index)
+				.then((mesh) => {
+					if (mesh) this.addPlane(mesh);
 				})
 				.catch((err) => {
 					console.error('[AboutView] Texture error:', err);
-					done();
 				});
 		});
 	}
 
-	createPlanes(images) {
-		images.forEach((img, index) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			const texEntry = this.textures.find((t) => t.src === src);
-			if (!texEntry) return;
-
-			const mesh = this.createPlane(texEntry.texture, img, index);
-
-			// Cover UV scaling
-			const bounds = img.getBoundingClientRect();
-			const imageAspect =
-				texEntry.texture.image.width /
-				texEntry.texture.image.height;
-			const planeAspect = bounds.width / bounds.height;
-			const coverScale =
-				imageAspect > planeAspect
-					? [planeAspect / imageAspect, 1.0]
-					: [1.0, imageAspect / planeAspect];
-
-			mesh.material.uniforms.uCoverScale = {
-				value: coverScale,
-			};
-			mesh.material.uniforms.uStrength = { value: 0 };
-			mesh.material.uniforms.uScrollProgress = { value: 0 };
-			mesh.material.uniforms.uViewportSizes = {
-				value: [this.viewport.width, this.viewport.height],
-			};
-
-			this.imagePlanes.push(mesh);
-			this.imageGroup.add(mesh);
-		});
+	addPlane(mesh) {
+		mesh.material.uniforms.uStrength = { value: 0 };
+		mesh.material.uniforms.uScrollProgress = { value: 0 };
+		mesh.material.uniforms.uViewportSizes = {
+			value: [this.viewport.width, this.viewport.height],
+		};
 
-		this.template
-			.querySelectorAll('[data-gl-img="true"]')
-			.forEach((img) => {
-				img.style.opacity = '0';
-			});
+		this.imagePlanes.push(mesh);
+		this.imageGroup.add(mesh);
 
-		this.updatePlanesPositions();
+		mesh.userData.img.style.opacity = '0';
+		this.updatePlanePosition(mesh);
 	}
 
 	setStrength(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uStrength.value = value;
 		});
 	}
 
 	setProgress(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uScrollProgress.value = value;
 		});
 	}
@@ -114,7 +73,7 @@ export class AboutView extends DOMPlane {
 	update({ delta }) {
 		this.updatePlanesPositions();
 
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			if (plane.material.uniforms.uTime) {
 				plane.material.uniforms.uTime.value += delta * 0.001;
 			}
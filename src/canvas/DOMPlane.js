@@ -4,9 +4,26 @@ import {
 	Mesh,
 	TextureLoader,
 	Group,
+	CanvasTexture,
+	LinearFilter,
+	VideoTexture,
 } from 'three';
 import { gsap } from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import SmoothScroll from '@utils/SmoothScroll';
 import WebGLConfig from './utils/WebGLConfig';
+import RenderScheduler from './utils/RenderScheduler';
+import TextureCache from './utils/TextureCache';
+import { getCoverScale, getTextureAspect } from './utils/cover';
+import { getAtlasRect } from './utils/TextureAtlas';
+import { PlaneInstances } from './PlaneInstances';
+import './shaders/chunks';
+
+// Longest side of the downscaled-canvas placeholder, in px
+const PLACEHOLDER_SIZE = 32;
+
+// Elements views map to planes — images and video cards
+export const PLANE_ELEMENTS = '[data-gl-img="true"], [data-gl-video]';
 
 /**
  * DOMPlane — maps DOM elements (images, videos) to WebGL planes.
@@ -15,14 +32,61 @@ import WebGLConfig from './utils/WebGLConfig';
  * - Creating a PlaneGeometry sized to match the DOM element
  * - Converting DOM pixel coordinates → WebGL world units
  * - Syncing plane position to DOM element every frame (scroll, layout)
+ *   from a cached document-space rect + Lenis scroll — no per-frame
+ *   getBoundingClientRect(). Rects are re-measured on ResizeObserver
+ *   callbacks (element or body) and after ScrollTrigger refresh.
+ * - Live measure: opt in per view (`liveMeasure: true`) or per element
+ *   (`data-gl-live` on it or an ancestor) for elements moved by
+ *   transforms (smooothy slides, Flip) or position:fixed/sticky. Live
+ *   planes also follow transform scale (Flip) through mesh.scale
  * - Mouse hover interaction (enter/leave/move with velocity tracking)
- * - Resize: recreates geometry to match new DOM dimensions
+ * - Resize: recreates geometry + uCoverScale to match new DOM dimensions,
+ *   per plane via ResizeObserver (column switches, fonts, lazy images)
+ *   and for all planes on window resize
+ * - Visibility culling: IntersectionObserver per element (`rootMargin`
+ *   option) toggles mesh.visible; per-plane work iterates `visiblePlanes`.
+ *   Live planes cull from their per-frame rect instead, so a slide
+ *   clipped by an overflow:hidden slider but still on screen (WebGL
+ *   doesn't clip) stays drawn. Pass `cull: false` for planes that don't
+ *   follow their element (mouse trail).
+ * - Render-on-demand: marks RenderScheduler dirty while planes move
+ * - Texture refs: loadTexture() acquires from TextureCache, destroy()
+ *   releases, so textures become evictable once no view uses them
+ * - Responsive sources: getSource() picks the srcset candidate for the
+ *   element's rendered size; resizePlane() swaps in a bigger one when
+ *   the plane outgrows it
+ * - Texture atlas: `data-gl-atlas` sources share TextureCache atlas
+ *   pages; uAtlasRect holds the plane's region (live through repacks).
+ *   Atlas planes skip srcset upgrades
+ * - Progressive loading: loadPlane() creates the plane on a tiny
+ *   placeholder (`data-gl-lqip`, else a downscaled canvas of the loaded
+ *   DOM img) and crossfades the full texture in via uTextureMix
+ * - Shader variants: `shaders.defines` goes to every material, picking
+ *   variants of the `#include <chunk>` library (shaders/chunks)
+ * - Instancing: `instanced: { count }` draws every plane of the view in
+ *   one call (PlaneInstances) with `shaders.instanced` — planes are
+ *   proxies with the same userData and uniforms, for dense grids. Use
+ *   raycast() for hover and toMesh() for transition flights, which
+ *   work in both modes
+ * - Video planes: `data-gl-video` (on a <video> or a wrapper, e.g. a
+ *   `[data-video="bg"]` BackgroundPlayer) maps the playing element
+ *   through a VideoTexture — the scheduler renders while it plays.
+ *   Instanced views draw the frame current at upload only
+ * - Return flights: a plane created on a `data-gl-landing` element
+ *   starts hidden (flying) — TransitionController shows it on landing
  * - Cleanup via AbortController
  *
  * Usage:
  *   class MyView extends DOMPlane {
  *     constructor(options) {
- *       super({ ...options, shaders: { vertex: vert, fragment: frag } });
+ *       super({
+ *         ...options,
+ *         shaders: {
+ *           vertex: vert,
+ *           fragment: frag,
+ *           defines: { MOTION_BLUR_SAMPLES: 6 }, // optional chunk variants
+ *         },
+ *       });
  *     }
  *     onHoverEnter(mesh) { // animate uniforms }
  *     onHoverLeave(mesh) { // animate uniforms }
@@ -31,20 +95,309 @@ import WebGLConfig from './utils/WebGLConfig';
  * Works with any DOM element that has a bounding rect — <img>, <video>, <div>, etc.
  */
 export class DOMPlane {
-	constructor({ parent, camera, viewport, screen, shaders }) {
+	constructor({
+		parent,
+		camera,
+		viewport,
+		screen,
+		shaders,
+		liveMeasure = false,
+		cull = true,
+		rootMargin = '25% 0px',
+		instanced = null,
+	}) {
 		this.parent = parent;
 		this.camera = camera;
 		this.viewport = viewport;
 		this.screen = screen;
 		this.shaders = shaders;
+		this.liveMeasure = liveMeasure;
 
 		this.textures = [];
+		this.placeholders = [];
+		this.videoTextures = [];
 		this.imagePlanes = [];
 		this.textureLoader = new TextureLoader();
 		this.imageGroup = new Group();
 		this.parent.add(this.imageGroup);
 
+		this.instances = instanced
+			? new PlaneInstances({
+					...instanced,
+					parent: this.imageGroup,
+					shaders,
+				})
+			: null;
+
 		this.abortController = new AbortController();
+
+		// Layout cache — el → mesh, re-measured when layout may have moved
+		this.planeByElement = new Map();
+		this.sourceByElement = new Map(); // source el → { src, width }
+		this.layoutObserver = new ResizeObserver((entries) =>
+			this.onLayoutChange(entries),
+		);
+		this.layoutObserver.observe(document.body);
+		this._onRefresh = () => this.measureAll();
+		ScrollTrigger.addEventListener('refresh', this._onRefresh);
+
+		// Visibility culling — planes default to in view until observed
+		this._visiblePlanes = [];
+		this._visibleDirty = true;
+		this.rootBounds = null;
+		this.visibilityObserver = cull
+			? new IntersectionObserver(
+					(entries) => this.onVisibilityChange(entries),
+					{ rootMargin },
+				)
+			: null;
+	}
+
+	/**
+	 * Load through TextureCache and hold a reference for this view's
+	 * lifetime (released in destroy). Tracked in this.textures.
+	 * @param {string} src
+	 * @returns {Promise<THREE.Texture>}
+	 */
+	loadTexture(src) {
+		return TextureCache.load(src).then((texture) => {
+			// View destroyed while loading — don't take a ref
+			if (this.abortController.signal.aborted) return texture;
+
+			TextureCache.acquire(src);
+			this.textures.push({ texture, src });
+			return texture;
+		});
+	}
+
+	/**
+	 * Texture URL for an element — the srcset candidate matching its
+	 * rendered size. Memoized so loaders and planes agree on it.
+	 * @param {HTMLElement} el - <img>, or a wrapper around one
+	 * @returns {string}
+	 */
+	getSource(el) {
+		const sourceEl = TextureCache.sourceElement(el);
+		if (!this.sourceByElement.has(sourceEl)) {
+			this.sourceByElement.set(
+				sourceEl,
+				// Instance layers are drawn through a 2D canvas — no KTX2
+				this.instances
+					? TextureCache.pickImageSource(
+							sourceEl,
+							TextureCache.displayWidth(sourceEl),
+						)
+					: TextureCache.pickSource(sourceEl),
+			);
+		}
+		return this.sourceByElement.get(sourceEl).src;
+	}
+
+	/**
+	 * Create a plane for `el` as soon as something can be drawn: a
+	 * placeholder, or the full texture if that arrives first. The full
+	 * texture then crossfades in (revealTexture).
+	 * @param {HTMLElement} el
+	 * @param {number} index
+	 * @returns {Promise<THREE.Mesh|null>} null if the view was destroyed
+	 */
+	async loadPlane(el, index) {
+		if (el.hasAttribute('data-gl-video')) {
+			return this.loadVideoPlane(el, index);
+		}
+
+		const src = this.getSource(el);
+		const full = this.loadTexture(src);
+
+		// Instance layers are filled once — skip the placeholder
+		if (this.instances) {
+			const texture = await full;
+			if (this.abortController.signal.aborted) return null;
+			return this.createPlane(texture, el, index);
+		}
+
+		const first = await Promise.race([
+			full.then((texture) => ({ texture, isFull: true })),
+			this.loadPlaceholder(el).then((texture) =>
+				texture
+					? { texture, isFull: false }
+					: full.then((fullTexture) => ({
+							texture: fullTexture,
+							isFull: true,
+						})),
+			),
+		]);
+		if (this.abortController.signal.aborted) return null;
+
+		const mesh = this.createPlane(first.texture, el, index);
+
+		if (!first.isFull) {
+			full
+				.then((texture) => {
+					if (this.abortController.signal.aborted) return;
+					// An upgrade (resize) already swapped in a bigger source
+					if (mesh.userData.source?.src !== src) return;
+					this.revealTexture(mesh, texture);
+				})
+				.catch(() => {});
+		}
+
+		return mesh;
+	}
+
+	/**
+	 * Plane on a `data-gl-video` element's <video>, once it has a frame.
+	 * Holds RenderScheduler while the video plays — VideoTexture only
+	 * uploads new frames on rendered ticks.
+	 * @returns {Promise<THREE.Mesh|null>} null if the view was destroyed
+	 */
+	async loadVideoPlane(el, index) {
+		const video =
+			el.tagName === 'VIDEO' ? el : el.querySelector('video');
+		if (!video) return null;
+
+		await this.whenPlayable(video);
+		const { signal } = this.abortController;
+		if (signal.aborted) return null;
+
+		const texture = new VideoTexture(video);
+		this.videoTextures.push(texture);
+
+		const hold = () => RenderScheduler.hold(texture);
+		const release = () => RenderScheduler.release(texture);
+		video.addEventListener('playing', hold, { signal });
+		['pause', 'ended', 'emptied'].forEach((type) => {
+			video.addEventListener(type, release, { signal });
+		});
+		signal.addEventListener('abort', release);
+		if (!video.paused) hold();
+
+		return this.createPlane(texture, el, index);
+	}
+
+	// Resolves once a <video> has a frame to draw (or the view is gone)
+	whenPlayable(video) {
+		if (video.readyState >= video.HAVE_CURRENT_DATA) {
+			return Promise.resolve();
+		}
+
+		const { signal } = this.abortController;
+		return new Promise((resolve) => {
+			video.addEventListener('loadeddata', resolve, {
+				once: true,
+				signal,
+			});
+			signal.addEventListener('abort', resolve);
+		});
+	}
+
+	/**
+	 * Tiny texture to draw while the full one loads, or null.
+	 * @returns {Promise<THREE.Texture|null>}
+	 */
+	loadPlaceholder(el) {
+		const sourceEl = TextureCache.sourceElement(el);
+		const lqip = sourceEl.getAttribute('data-gl-lqip');
+		const fromImage = () =>
+			this.whenLoaded(sourceEl).then(() =>
+				this.createPlaceholder(sourceEl),
+			);
+
+		if (!lqip) return fromImage();
+		return this.loadTexture(lqip).catch(fromImage);
+	}
+
+	// Downscaled copy of an already loaded <img>
+	createPlaceholder(img) {
+		if (img.tagName !== 'IMG' || !img.naturalWidth) return null;
+
+		const scale =
+			PLACEHOLDER_SIZE /
+			Math.max(img.naturalWidth, img.naturalHeight);
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+		canvas.height = Math.max(
+			1,
+			Math.round(img.naturalHeight * scale),
+		);
+
+		const ctx = canvas.getContext('2d');
+		ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+		// A cross-origin img without CORS taints the canvas and WebGL
+		// can't upload it — wait for the full texture instead
+		try {
+			ctx.getImageData(0, 0, 1, 1);
+		} catch {
+			return null;
+		}
+
+		const texture = new CanvasTexture(canvas);
+		texture.generateMipmaps = false;
+		texture.minFilter = LinearFilter;
+		this.placeholders.push(texture);
+		return texture;
+	}
+
+	// Resolves once an <img> has loaded or failed (other elements: now)
+	whenLoaded(el) {
+		if (el.tagName !== 'IMG' || el.complete) return Promise.resolve();
+
+		return new Promise((resolve) => {
+			el.addEventListener('load', resolve, { once: true });
+			el.addEventListener('error', resolve, { once: true });
+		});
+	}
+
+	/**
+	 * Crossfade the plane from its current texture to `texture`.
+	 * uPlaceholder keeps the outgoing one while uTextureMix runs 0 → 1.
+	 */
+	revealTexture(plane, texture, duration = 0.6) {
+		const { uniforms } = plane.material;
+		gsap.killTweensOf(uniforms.uTextureMix);
+
+		uniforms.uPlaceholder.value = uniforms.uTexture.value;
+		uniforms.uTexture.value = texture;
+		uniforms.uAtlasRect.value = getAtlasRect(texture);
+		uniforms.uTextureMix.value = 0;
+		this.updateCoverScale(plane);
+
+		RenderScheduler.track(
+			gsap.to(uniforms.uTextureMix, {
+				value: 1,
+				duration,
+				ease: 'sine.out',
+			}),
+		);
+	}
+
+	/**
+	 * Swap in a bigger srcset candidate once the plane renders larger
+	 * than its current texture covers. Same image, so cover scale holds.
+	 */
+	upgradeTexture(plane) {
+		// Atlas thumbnails keep their slot
+		if (plane.userData.atlas) return;
+
+		const { img, bounds, source } = plane.userData;
+		const next = TextureCache.pickUpgrade(
+			TextureCache.sourceElement(img),
+			source,
+			bounds.width,
+		);
+		if (!next) return;
+
+		plane.userData.source = next;
+		this.loadTexture(next.src)
+			.then((texture) => {
+				// Superseded by a later upgrade, or view torn down
+				if (plane.userData.source !== next) return;
+				if (this.abortController.signal.aborted) return;
+
+				this.revealTexture(plane, texture);
+			})
+			.catch(() => {});
 	}
 
 	/**
@@ -52,38 +405,51 @@ export class DOMPlane {
 	 * @param {THREE.Texture} texture - Any texture (image, video, canvas, data)
 	 * @param {HTMLElement} el - The DOM element to map (needs getBoundingClientRect)
 	 * @param {number} index - Index for ordering/identification
-	 * @returns {THREE.Mesh}
+	 * @returns {THREE.Mesh|THREE.Object3D|null} proxy when instanced,
+	 *   null once the instances are full
 	 */
 	createPlane(texture, el, index) {
 		const bounds = el.getBoundingClientRect();
 
-		const width =
-			(bounds.width / this.screen.width) * this.viewport.width;
-		const height =
-			(bounds.height / this.screen.height) * this.viewport.height;
-
-		const geometry = new PlaneGeometry(width, height, 24, 24);
+		const cfg = WebGLConfig.get(el);
+		const uniforms = {
+			uTime: { value: 0 },
+			uTexture: { value: texture },
+			uAtlasRect: { value: getAtlasRect(texture) },
+			uPlaceholder: { value: texture },
+			uTextureMix: { value: 1 },
+			uCoverScale: {
+				value: getCoverScale(
+					getTextureAspect(texture),
+					bounds.width / bounds.height,
+				),
+			},
+			uOpacity: { value: 1 },
+			uOffset: { value: { x: 0, y: 0 } },
+			uMouseVelocity: { value: { x: 0, y: 0 } },
+			uReveal: { value: 1 },
+			uRGBMul: { value: cfg.rgbShift },
+			uBlurMul: { value: cfg.blur },
+			uBulgeMul: { value: cfg.bulge },
+			uBulgeStrengthMul: { value: cfg.bulgeStrength },
+		};
 
-		const cfg = WebGLConfig.get();
 		const material = new ShaderMaterial({
 			vertexShader: this.shaders.vertex,
 			fragmentShader: this.shaders.fragment,
+			defines: { ...this.shaders.defines },
 			transparent: true,
-			uniforms: {
-				uTime: { value: 0 },
-				uTexture: { value: texture },
-				uOpacity: { value: 1 },
-				uOffset: { value: { x: 0, y: 0 } },
-				uMouseVelocity: { value: { x: 0, y: 0 } },
-				uReveal: { value: 1 },
-				uRGBMul: { value: cfg.rgbShift },
-				uBlurMul: { value: cfg.blur },
-				uBulgeMul: { value: cfg.bulge },
-				uBulgeStrengthMul: { value: cfg.bulgeStrength },
-			},
+			uniforms,
 		});
 
-		const mesh = new Mesh(geometry, material);
+		const mesh = this.instances
+			? this.instances.add(texture, material)
+			: new Mesh(this.createGeometry(bounds), material);
+		if (!mesh) {
+			material.dispose();
+			return null;
+		}
+
 		mesh.userData = {
 			index,
 			img: el,
@@ -93,11 +459,111 @@ export class DOMPlane {
 			targetMouseUV: { x: 0, y: 0 },
 			targetWorldPos: { x: 0, y: 0 },
 			worldPos: null,
+			live: !!el.closest('[data-gl-live]'),
+			atlas: TextureCache.isAtlas(el),
+			// Playing element of a video plane — flights resume from it
+			video: texture.isVideoTexture ? texture.image : null,
+			layout: this.toLayout(bounds),
+			inView: true,
+			// Target of a return flight — hidden until it lands
+			flying: el.hasAttribute('data-gl-landing'),
+			source:
+				this.sourceByElement.get(TextureCache.sourceElement(el)) ||
+				null,
 		};
+		if (this.instances) mesh.userData.size = this.toWorldSize(bounds);
+		if (mesh.userData.flying) mesh.visible = false;
+
+		this.planeByElement.set(el, mesh);
+		this.layoutObserver.observe(el);
+		this.visibilityObserver?.observe(el);
+		this._visibleDirty = true;
+
+		RenderScheduler.invalidate();
 
 		return mesh;
 	}
 
+	// DOM rect → PlaneGeometry in world units
+	createGeometry(bounds) {
+		const { width, height } = this.toWorldSize(bounds);
+		return new PlaneGeometry(width, height, 24, 24);
+	}
+
+	// DOM rect size → world units
+	toWorldSize(bounds) {
+		return {
+			width: (bounds.width / this.screen.width) * this.viewport.width,
+			height:
+				(bounds.height / this.screen.height) * this.viewport.height,
+		};
+	}
+
+	/**
+	 * Recompute object-fit: cover UVs from the plane's current bounds
+	 * and its texture's intrinsic aspect.
+	 */
+	updateCoverScale(plane) {
+		const { bounds } = plane.userData;
+		const { uniforms } = plane.material;
+		if (!uniforms.uCoverScale || !bounds.width || !bounds.height)
+			return;
+
+		uniforms.uCoverScale.value = getCoverScale(
+			getTextureAspect(uniforms.uTexture.value),
+			bounds.width / bounds.height,
+		);
+	}
+
+	/**
+	 * Rebuild geometry + cover scale to match the plane's measured bounds.
+	 */
+	resizePlane(plane) {
+		const { bounds } = plane.userData;
+		if (!bounds.width || !bounds.height) return;
+
+		this.updateCoverScale(plane);
+		RenderScheduler.invalidate();
+
+		// Instance layers have a fixed size — no srcset upgrades
+		if (this.instances) {
+			plane.userData.size = this.toWorldSize(bounds);
+			return;
+		}
+
+		plane.geometry.dispose();
+		plane.geometry = this.createGeometry(bounds);
+		this.upgradeTexture(plane);
+	}
+
+	/**
+	 * Topmost plane under the raycaster, among visible planes.
+	 * @param {THREE.Raycaster} raycaster - already set from the camera
+	 * @returns {{ plane: THREE.Object3D, uv: { x: number, y: number } }|null}
+	 */
+	raycast(raycaster) {
+		if (this.instances) {
+			return this.instances.raycast(raycaster, this.visiblePlanes);
+		}
+
+		const [hit] = raycaster.intersectObjects(this.visiblePlanes);
+		return hit ? { plane: hit.object, uv: hit.uv } : null;
+	}
+
+	/**
+	 * A Mesh to hand to TransitionController for `plane` — the plane
+	 * itself, or a standalone Mesh on its material when instanced (its
+	 * new geometry is the flight's to dispose).
+	 */
+	toMesh(plane) {
+		if (!this.instances) return plane;
+
+		return this.instances.toMesh(
+			plane,
+			this.createGeometry(plane.userData.bounds),
+		);
+	}
+
 	/**
 	 * Attach hover listeners to a container around the DOM element.
 	 * @param {THREE.Mesh} mesh - The WebGL plane
@@ -152,6 +618,129 @@ export class DOMPlane {
 	onHoverEnter(mesh) {}
 	onHoverLeave(mesh) {}
 
+	getScroll() {
+		return SmoothScroll.instance?.lenis.scroll ?? window.scrollY;
+	}
+
+	// Viewport rect → document-space rect (scroll baked into top)
+	toLayout(rect) {
+		return {
+			left: rect.left,
+			top: rect.top + this.getScroll(),
+			width: rect.width,
+			height: rect.height,
+		};
+	}
+
+	/**
+	 * Re-read a plane's DOM rect into its layout cache, rebuilding
+	 * geometry if the element changed size since the last measure.
+	 */
+	measure(plane) {
+		const prev = plane.userData.bounds;
+		const bounds = plane.userData.img.getBoundingClientRect();
+		plane.userData.bounds = bounds;
+		plane.userData.layout = this.toLayout(bounds);
+
+		if (
+			!prev ||
+			Math.abs(prev.width - bounds.width) > 0.5 ||
+			Math.abs(prev.height - bounds.height) > 0.5
+		) {
+			this.resizePlane(plane);
+		}
+
+		RenderScheduler.invalidate();
+	}
+
+	measureAll() {
+		this.imagePlanes.forEach((plane) => this.measure(plane));
+	}
+
+	onLayoutChange(entries) {
+		// Body resized → anything may have shifted, re-measure all
+		if (entries.some((entry) => entry.target === document.body)) {
+			this.measureAll();
+			return;
+		}
+
+		entries.forEach((entry) => {
+			const plane = this.planeByElement.get(entry.target);
+			if (plane) this.measure(plane);
+		});
+	}
+
+	/**
+	 * Planes currently in view — iterate this for per-frame work
+	 * (uniform updates, hover easing, raycasting).
+	 */
+	get visiblePlanes() {
+		if (this._visibleDirty) {
+			this._visiblePlanes = this.imagePlanes.filter(
+				(plane) => plane.userData.inView,
+			);
+			this._visibleDirty = false;
+		}
+		return this._visiblePlanes;
+	}
+
+	setPlaneInView(plane, inView) {
+		if (plane.userData.inView === inView) return;
+
+		plane.userData.inView = inView;
+		// Source plane of a TransitionController flight stays hidden
+		plane.visible = inView && !plane.userData.flying;
+		this._visibleDirty = true;
+		RenderScheduler.invalidate();
+	}
+
+	onVisibilityChange(entries) {
+		entries.forEach((entry) => {
+			if (entry.rootBounds) this.rootBounds = entry.rootBounds;
+
+			const plane = this.planeByElement.get(entry.target);
+			if (!plane || this.isLive(plane)) return;
+
+			this.setPlaneInView(plane, entry.isIntersecting);
+		});
+	}
+
+	// Live planes: cull against the observer's root box (viewport + margin)
+	cullLivePlane(plane, bounds) {
+		if (!this.visibilityObserver || !this.rootBounds) return;
+
+		const root = this.rootBounds;
+		this.setPlaneInView(
+			plane,
+			bounds.left + bounds.width > root.left &&
+				bounds.left < root.right &&
+				bounds.top + bounds.height > root.top &&
+				bounds.top < root.bottom,
+		);
+	}
+
+	isLive(plane) {
+		return this.liveMeasure || plane.userData.live;
+	}
+
+	/**
+	 * Current viewport rect of a plane's element. Cached layout shifted
+	 * by scroll, or a fresh getBoundingClientRect() for live planes.
+	 */
+	getPlaneBounds(plane) {
+		const { img, layout } = plane.userData;
+		if (this.isLive(plane) || !layout) {
+			return img.getBoundingClientRect();
+		}
+
+		return {
+			left: layout.left,
+			top: layout.top - this.getScroll(),
+			width: layout.width,
+			height: layout.height,
+		};
+	}
+
 	/**
 	 * Sync a single plane to its DOM element position.
 	 */
@@ -159,17 +748,37 @@ export class DOMPlane {
 		if (this.frozen) return;
 		if (plane.userData.worldPos) return;
 
-		const { img } = plane.userData;
-		const bounds = img.getBoundingClientRect();
+		const live = this.isLive(plane);
+		if (!live && !plane.userData.inView) return;
+
+		const bounds = this.getPlaneBounds(plane);
 
 		if (bounds.width === 0 || bounds.height === 0) return;
 
+		if (live) {
+			this.cullLivePlane(plane, bounds);
+			this.followScale(plane, bounds);
+		}
+
 		const x = this.updateX(bounds.left, bounds.width);
 		const y = this.updateY(bounds.top, bounds.height);
 
 		plane.position.set(x, y, 0);
 	}
 
+	// Transforms resize the rect without a layout change (no
+	// ResizeObserver call) — stretch the geometry built from `bounds`
+	followScale(plane, bounds) {
+		const base = plane.userData.bounds;
+		if (!base.width || !base.height) return;
+
+		plane.scale.set(
+			bounds.width / base.width,
+			bounds.height / base.height,
+			1,
+		);
+	}
+
 	// DOM pixel → WebGL world X
 	updateX(left, width) {
 		return (
@@ -190,7 +799,7 @@ export class DOMPlane {
 	 * Per-frame update: sync time uniform and handle hover easing.
 	 */
 	updateHoveredPlanes(delta) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			if (plane.material.uniforms.uTime) {
 				plane.material.uniforms.uTime.value += delta * 0.001;
 			}
@@ -222,6 +831,13 @@ export class DOMPlane {
 					x: velocityX / this.viewport.width,
 					y: velocityY / this.viewport.height,
 				};
+
+				if (
+					Math.abs(velocityX) > 0.0001 ||
+					Math.abs(velocityY) > 0.0001
+				) {
+					RenderScheduler.invalidate();
+				}
 			} else {
 				plane.material.uniforms.uOffset.value = {
 					x: 0,
@@ -239,49 +855,60 @@ export class DOMPlane {
 		this.viewport = viewport;
 		this.screen = screen;
 
-		if (this.imagePlanes.length) {
-			this.imagePlanes.forEach((plane) => {
-				const { img } = plane.userData;
-				const bounds = img.getBoundingClientRect();
-
-				const width =
-					(bounds.width / this.screen.width) * this.viewport.width;
-				const height =
-					(bounds.height / this.screen.height) * this.viewport.height;
-
-				plane.geometry.dispose();
-				plane.geometry = new PlaneGeometry(width, height, 24, 24);
-			});
-		}
+		// World-unit scale changed — rebuild every plane, not just resized ones
+		this.imagePlanes.forEach((plane) => {
+			const bounds = plane.userData.img.getBoundingClientRect();
+			plane.userData.bounds = bounds;
+			plane.userData.layout = this.toLayout(bounds);
+			this.resizePlane(plane);
+		});
 	}
 
 	show() {
 		this.frozen = false;
 		this.imageGroup.visible = true;
+		RenderScheduler.invalidate();
 	}
 
 	fadeOut(duration = 0.4, ease = 'sine.in') {
 		this.frozen = true;
 		this.imagePlanes.forEach((plane) => {
-			gsap.to(plane.material.uniforms.uOpacity, {
-				value: 0,
-				duration,
-				ease,
-			});
+			RenderScheduler.track(
+				gsap.to(plane.material.uniforms.uOpacity, {
+					value: 0,
+					duration,
+					ease,
+				}),
+			);
 		});
 	}
 
 	hide() {
 		this.imageGroup.visible = false;
+		RenderScheduler.invalidate();
 	}
 
 	destroy() {
 		this.abortController.abort();
+		this.layoutObserver.disconnect();
+		this.visibilityObserver?.disconnect();
+		ScrollTrigger.removeEventListener('refresh', this._onRefresh);
+		this.planeByElement.clear();
+		this.sourceByElement.clear();
+		this.textures.forEach(({ src }) => TextureCache.release(src));
+		this.textures = [];
+		this.placeholders.forEach((texture) => texture.dispose());
+		this.placeholders = [];
+		// Flights hold clones of their own (TransitionController)
+		this.videoTextures.forEach((texture) => texture.dispose());
+		this.videoTextures = [];
+		RenderScheduler.invalidate();
 
 		this.imagePlanes.forEach((plane) => {
-			plane.geometry.dispose();
+			plane.geometry?.dispose();
 			plane.material.dispose();
 		});
+		this.instances?.dispose();
 		this.parent.remove(this.imageGroup);
 	}
 }
@@ -1,7 +1,8 @@
 import { gsap } from 'gsap';
 import { Raycaster, Vector2 } from 'three';
-import { DOMPlane } from '../DOMPlane';
-import TextureCache from '../utils/TextureCache';
+import { DOMPlane, PLANE_ELEMENTS } from '../DOMPlane';
+import RenderScheduler from '../utils/RenderScheduler';
+import { resolveTransitionPreset } from '../utils/transitionPresets';
 import emitter from '@utils/Emitter';
 import { isMobile } from '@utils/device';
 import vertexShader from '../shaders/sharedVert.glsl';
@@ -21,11 +22,14 @@ export class HomeView extends DOMPlane {
 		this.mouseNDC = new Vector2(-10, -10);
 		this.hoveredPlane = null;
 		this.mouseDirty = false;
+		// Last setStrength() — culled planes keep a stale uStrength
+		this.strength = 0;
 
 		this._onMouseMove = (e) => {
 			this.mouseNDC.x = (e.clientX / window.innerWidth) * 2 - 1;
 			this.mouseNDC.y = -(e.clientY / window.innerHeight) * 2 + 1;
 			this.mouseDirty = true;
+			RenderScheduler.invalidate();
 		};
 		window.addEventListener('mousemove', this._onMouseMove, {
 			signal: this.abortController.signal,
@@ -36,7 +40,7 @@ export class HomeView extends DOMPlane {
 
 	loadImages() {
 		const images = Array.from(
-			this.template.querySelectorAll('[data-gl-img="true"]'),
+			this.template.querySelectorAll(PLANE_ELEMENTS),
 		).filter((img) => !img.closest('[data-stacked-trail-area]'));
 
 		if (!images.length) return;
@@ -47,140 +51,87 @@ export class HomeView extends DOMPlane {
 			img.style.visibility = 'hidden';
 		});
 
-		// Wait for DOM images to load (ensures getBoundingClientRect returns correct height
-		// when images use height:auto with no width/height HTML attributes)
-		const imgLoadPromises = images
-			.filter((img) => !img.complete)
-			.map(
-				(img) =>
-					new Promise((resolve) => {
-						img.addEventListener('load', resolve, {
-							once: true,
-						});
-						img.addEventListener('error', resolve, {
-							once: true,
-						});
-					}),
-			);
-
-		let settled = 0;
-		const uniqueSrcs = new Map();
-
-		images.forEach((img) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			if (!src || uniqueSrcs.has(src)) return;
-			uniqueSrcs.set(src, img);
-		});
-
-		let texturesReady = false;
-		let domImagesReady = imgLoadPromises.length === 0;
-
-		const tryCreatePlanes = () => {
-			if (texturesReady && domImagesReady) {
-				this.createPlanes(images);
-			}
-		};
-
-		Promise.all(imgLoadPromises).then(() => {
-			domImagesReady = true;
-			tryCreatePlanes();
-		});
-
-		const done = () => {
-			settled++;
-			if (settled === uniqueSrcs.size) {
-				texturesReady = true;
-				tryCreatePlanes();
-			}
-		};
-
-		uniqueSrcs.forEach((img, src) => {
-			TextureCache.load(src)
-				.then((texture) => {
-					this.textures.push({ texture, src });
-					done();
+		// Each plane appears on its own, starting from a placeholder.
+		// Heights that settle once a DOM img loads (height:auto) are
+		// picked up by the ResizeObserver in DOMPlane.
+		images.forEach((img, index) => {
+			this.loadPlane(img, index)
+				.then((mesh) => {
+					if (mesh) this.addPlane(mesh);
 				})
 				.catch((err) => {
 					console.error('[HomeView] Texture error:', err);
-					done();
 				});
 		});
 	}
 
-	createPlanes(images) {
-		images.forEach((img, index) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			const texEntry = this.textures.find((t) => t.src === src);
-			if (!texEntry) return;
-
-			const mesh = this.createPlane(texEntry.texture, img, index);
-
-			// Cover UV scaling
-			const bounds = img.getBoundingClientRect();
-			const imageAspect =
-				texEntry.texture.image.width / texEntry.texture.image.height;
-			const planeAspect = bounds.width / bounds.height;
-			const coverScale =
-				imageAspect > planeAspect
-					? [planeAspect / imageAspect, 1.0]
-					: [1.0, imageAspect / planeAspect];
-
-			mesh.material.uniforms.uCoverScale = {
-				value: coverScale,
-			};
-			mesh.material.uniforms.uStrength = { value: 0 };
-			mesh.material.uniforms.uScrollProgress = { value: 0 };
-			mesh.material.uniforms.uViewportSizes = {
-				value: [this.viewport.width, this.viewport.height],
-			};
-			mesh.material.uniforms.uMouse = { value: [0.5, 0.5] };
-			mesh.material.uniforms.uBulge = { value: 0 };
-			mesh.material.uniforms.uPageTransition = { value: 0 };
-			mesh.userData.targetMouseUV = { x: 0.5, y: 0.5 };
-
-			this.imagePlanes.push(mesh);
-			this.imageGroup.add(mesh);
-		});
-		this.updatePlanesPositions();
-		this.setupClickHandlers();
+	// Pointer state carried across a rebuild (context restore)
+	getState() {
+		return { mouse: this.mouseNDC.clone() };
 	}
 
-	setupClickHandlers() {
-		this.imagePlanes.forEach((mesh) => {
-			const link = mesh.userData.img.closest('a[href]');
-			if (!link) return;
-
-			link.addEventListener('click', () => {
-				if (isMobile()) return;
+	setState({ mouse }) {
+		this.mouseNDC.copy(mouse);
+		this.mouseDirty = true;
+	}
 
-				emitter.emit('webgl:transition:prepare', {
-					mesh,
-					targetUrl: link.href,
-					sourcePage: 'home',
-					startPosition: null,
-				});
+	addPlane(mesh) {
+		mesh.material.uniforms.uStrength = { value: 0 };
+		mesh.material.uniforms.uScrollProgress = { value: 0 };
+		mesh.material.uniforms.uViewportSizes = {
+			value: [this.viewport.width, this.viewport.height],
+		};
+		mesh.material.uniforms.uMouse = { value: [0.5, 0.5] };
+		mesh.material.uniforms.uBulge = { value: 0 };
+		mesh.material.uniforms.uPageTransition = { value: 0 };
+		mesh.userData.targetMouseUV = { x: 0.5, y: 0.5 };
+
+		this.imagePlanes.push(mesh);
+		this.imageGroup.add(mesh);
+		// A new plane may appear under a pointer that isn't moving
+		this.mouseDirty = true;
+		this.updatePlanePosition(mesh);
+		this.setupClickHandler(mesh);
+	}
 
-				// Fade out all other planes
-				this.imagePlanes.forEach((plane) => {
-					if (plane === mesh) return;
+	setupClickHandler(mesh) {
+		const link = mesh.userData.img.closest('a[href]');
+		if (!link) return;
+
+		link.addEventListener('click', () => {
+			if (isMobile()) return;
+
+			emitter.emit('webgl:transition:prepare', {
+				mesh: this.toMesh(mesh),
+				targetUrl: link.href,
+				sourcePage: 'home',
+				startPosition: null,
+				preset: resolveTransitionPreset(link),
+			});
+
+			// Fade out all other planes
+			this.imagePlanes.forEach((plane) => {
+				if (plane === mesh) return;
+				RenderScheduler.track(
 					gsap.to(plane.material.uniforms.uOpacity, {
 						value: 0,
 						duration: 0.5,
 						ease: 'sine.out',
-					});
-				});
-			}, { signal: this.abortController.signal });
-		});
+					}),
+				);
+			});
+		}, { signal: this.abortController.signal });
 	}
 
 	setStrength(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.strength = value;
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uStrength.value = value;
 		});
 	}
 
 	setProgress(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uScrollProgress.value = value;
 		});
 	}
@@ -193,12 +144,12 @@ export class HomeView extends DOMPlane {
 
 	update({ delta }) {
 		this.updatePlanesPositions();
-		if (this.imagePlanes[0]?.material.uniforms.uStrength.value !== 0) {
+		if (this.strength !== 0) {
 			this.mouseDirty = true;
 		}
 		this.updateBulge();
 
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			if (plane.material.uniforms.uTime) {
 				plane.material.uniforms.uTime.value += delta * 0.001;
 			}
@@ -207,12 +158,17 @@ export class HomeView extends DOMPlane {
 			const target = plane.userData.targetMouseUV;
 			const ease = 0.07;
 
-			if (plane.userData.isHovered) {
-				mouse[0] += (target.x - mouse[0]) * ease;
-				mouse[1] += (target.y - mouse[1]) * ease;
-			} else {
-				mouse[0] += (0.5 - mouse[0]) * ease;
-				mouse[1] += (0.5 - mouse[1]) * ease;
+			const tx = plane.userData.isHovered ? target.x : 0.5;
+			const ty = plane.userData.isHovered ? target.y : 0.5;
+			mouse[0] += (tx - mouse[0]) * ease;
+			mouse[1] += (ty - mouse[1]) * ease;
+
+			// Hover easing still converging
+			if (
+				Math.abs(tx - mouse[0]) > 0.0001 ||
+				Math.abs(ty - mouse[1]) > 0.0001
+			) {
+				RenderScheduler.invalidate();
 			}
 		});
 	}
@@ -222,29 +178,31 @@ export class HomeView extends DOMPlane {
 		this.mouseDirty = false;
 
 		this.raycaster.setFromCamera(this.mouseNDC, this.camera);
-		const intersects = this.raycaster.intersectObjects(this.imagePlanes);
-
-		const hit = intersects.length > 0 ? intersects[0] : null;
-		const hitPlane = hit ? hit.object : null;
+		const hit = this.raycast(this.raycaster);
+		const hitPlane = hit ? hit.plane : null;
 
 		if (hitPlane !== this.hoveredPlane) {
 			if (this.hoveredPlane) {
 				this.hoveredPlane.userData.isHovered = false;
-				gsap.to(this.hoveredPlane.material.uniforms.uBulge, {
-					value: 0,
-					duration: 0.4,
-					ease: 'power2.out',
-					overwrite: true,
-				});
+				RenderScheduler.track(
+					gsap.to(this.hoveredPlane.material.uniforms.uBulge, {
+						value: 0,
+						duration: 0.4,
+						ease: 'power2.out',
+						overwrite: true,
+					}),
+				);
 			}
 			if (hitPlane) {
 				hitPlane.userData.isHovered = true;
-				gsap.to(hitPlane.material.uniforms.uBulge, {
-					value: 1,
-					duration: 0.6,
-					ease: 'power2.out',
-					overwrite: true,
-				});
+				RenderScheduler.track(
+					gsap.to(hitPlane.material.uniforms.uBulge, {
+						value: 1,
+						duration: 0.6,
+						ease: 'power2.out',
+						overwrite: true,
+					}),
+				);
 			}
 			this.hoveredPlane = hitPlane;
 		}
@@ -1,6 +1,6 @@
 import { gsap } from 'gsap';
 import { DOMPlane } from '../DOMPlane';
-import TextureCache from '../utils/TextureCache';
+import RenderScheduler from '../utils/RenderScheduler';
 import vertexShader from '../shaders/trailVert.glsl';
 import fragmentShader from '../shaders/trailFrag.glsl';
 
@@ -11,7 +11,16 @@ export class TrailView extends DOMPlane {
 			shaders: {
 				vertex: vertexShader,
 				fragment: fragmentShader,
+				// Lighter, symmetric shift and blur than the page planes
+				defines: {
+					RGB_SHIFT_R: '1.0',
+					RGB_SHIFT_B: '-1.0',
+					MOTION_BLUR_SAMPLES: 6,
+					MOTION_BLUR_BLEND: '0.1',
+				},
 			},
+			// Planes follow the cursor, not their wrappers
+			cull: false,
 		});
 
 		this.template = options.template || document;
@@ -43,6 +52,7 @@ export class TrailView extends DOMPlane {
 			}
 			this.lastClientX = e.clientX;
 			this.lastClientY = e.clientY;
+			RenderScheduler.invalidate();
 
 			// Convert screen → world
 			this.mouseWorld.x =
@@ -96,7 +106,7 @@ export class TrailView extends DOMPlane {
 		wrappers.forEach((wrapper, index) => {
 			const img = wrapper.querySelector('img');
 			if (!img) return;
-			const src = img.getAttribute('data-gl-src') || img.src;
+			const src = this.getSource(img);
 			if (!src) return;
 
 			entries.push({ wrapper, img, src, index });
@@ -118,7 +128,7 @@ export class TrailView extends DOMPlane {
 		};
 
 		uniqueSrcs.forEach((_, src) => {
-			TextureCache.load(src)
+			this.loadTexture(src)
 				.then((texture) => {
 					textures.set(src, texture);
 					settled++;
@@ -140,16 +150,6 @@ export class TrailView extends DOMPlane {
 			// Use wrapper for sizing (it's the positioned element)
 			const mesh = this.createPlane(texture, wrapper, index);
 
-			// Cover UV scaling
-			const bounds = wrapper.getBoundingClientRect();
-			const imageAspect = texture.image.width / texture.image.height;
-			const planeAspect = bounds.width / bounds.height;
-			const coverScale =
-				imageAspect > planeAspect
-					? [planeAspect / imageAspect, 1.0]
-					: [1.0, imageAspect / planeAspect];
-
-			mesh.material.uniforms.uCoverScale = { value: coverScale };
 			mesh.material.uniforms.uStrength = { value: 0 };
 			mesh.material.uniforms.uViewportSizes = {
 				value: [this.viewport.width, this.viewport.height],
@@ -179,35 +179,43 @@ export class TrailView extends DOMPlane {
 
 	fadeIn() {
 		this.imagePlanes.forEach((plane) => {
-			gsap.to(plane.material.uniforms.uOpacity, {
-				value: 1,
-				duration: 1,
-				ease: 'back.out',
-				overwrite: true,
-			});
-			gsap.to(plane.material.uniforms.uReveal, {
-				value: 1,
-				duration: 1,
-				ease: 'back.out',
-				overwrite: true,
-			});
+			RenderScheduler.track(
+				gsap.to(plane.material.uniforms.uOpacity, {
+					value: 1,
+					duration: 1,
+					ease: 'back.out',
+					overwrite: true,
+				}),
+			);
+			RenderScheduler.track(
+				gsap.to(plane.material.uniforms.uReveal, {
+					value: 1,
+					duration: 1,
+					ease: 'back.out',
+					overwrite: true,
+				}),
+			);
 		});
 	}
 
 	fadeOutTrail() {
 		this.imagePlanes.forEach((plane) => {
-			gsap.to(plane.material.uniforms.uOpacity, {
-				value: 0,
-				duration: 0.4,
-				ease: 'back.out',
-				overwrite: true,
-			});
-			gsap.to(plane.material.uniforms.uReveal, {
-				value: 0,
-				duration: 0.4,
-				ease: 'back.out',
-				overwrite: true,
-			});
+			RenderScheduler.track(
+				gsap.to(plane.material.uniforms.uOpacity, {
+					value: 0,
+					duration: 0.4,
+					ease: 'back.out',
+					overwrite: true,
+				}),
+			);
+			RenderScheduler.track(
+				gsap.to(plane.material.uniforms.uReveal, {
+					value: 0,
+					duration: 0.4,
+					ease: 'back.out',
+					overwrite: true,
+				}),
+			);
 		});
 	}
 
@@ -221,6 +229,7 @@ export class TrailView extends DOMPlane {
 		this.mouseVelocity *= 0.95; // decay between moves
 
 		// Trail easing — all in world space
+		let moving = this.mouseVelocity > 0.01;
 		this.trailStates.forEach((state, i) => {
 			const target =
 				i === 0 ? this.mouseWorld : this.trailStates[i - 1];
@@ -232,6 +241,9 @@ export class TrailView extends DOMPlane {
 
 			state.x += velX;
 			state.y += velY;
+			if (Math.abs(velX) > 0.0001 || Math.abs(velY) > 0.0001) {
+				moving = true;
+			}
 
 			this.imagePlanes[i].position.x = state.x;
 			this.imagePlanes[i].position.y = state.y;
@@ -249,6 +261,11 @@ export class TrailView extends DOMPlane {
 		this.smoothedDir.y +=
 			(this.velocityDir.y - this.smoothedDir.y) * 0.1;
 
+		// Trail still catching up or wave still decaying
+		if (moving || Math.abs(this.smoothedStrength) > 0.0001) {
+			RenderScheduler.invalidate();
+		}
+
 		// Update uniforms
 		this.imagePlanes.forEach((plane) => {
 			plane.material.uniforms.uStrength.value = this.smoothedStrength;
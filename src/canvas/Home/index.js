@@ -2,6 +2,7 @@ import { Page } from '../Page';
 import emitter from '@utils/Emitter';
 import SmoothScroll from '@utils/SmoothScroll';
 import WebGLConfig from '../utils/WebGLConfig';
+import RenderScheduler from '../utils/RenderScheduler';
 import { HomeView } from './HomeView';
 import { TrailView } from './TrailView';
 
@@ -10,7 +11,6 @@ export class Home extends Page {
 		super(options);
 		this.view = null;
 		this.smoothedStrength = 0;
-		this._leaveTimer = null;
 		this.calculateViewport();
 	}
 
@@ -57,38 +57,24 @@ export class Home extends Page {
 		});
 	}
 
-	onEnter(data) {
-		if (this._leaveTimer) {
-			clearTimeout(this._leaveTimer);
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.trailView?.destroy?.();
-			this.view = null;
-			this.trailView = null;
-			this.created = false;
-			this.create(data);
-		}
-		super.onEnter(data);
+	destroyViews() {
+		this.view?.destroy?.();
+		this.trailView?.destroy?.();
+		this.view = null;
+		this.trailView = null;
+		this.created = false;
 	}
 
-	transitionIn(onComplete) {
+	async transitionIn() {
 		emitter.emit('home:enter-ready');
-		if (onComplete) onComplete();
 	}
 
-	transitionOut(onComplete) {
+	async transitionOut(signal) {
 		this.view?.hide();
 		this.trailView?.hide();
 
-		this._leaveTimer = setTimeout(() => {
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.trailView?.destroy?.();
-			this.view = null;
-			this.trailView = null;
-			this.created = false;
-			if (onComplete) onComplete();
-		}, 1400);
+		await this.wait(1400, signal);
+		this.destroyViews();
 	}
 
 	onResize() {
@@ -106,6 +92,12 @@ export class Home extends Page {
 				lenis.velocity * 0.005 * WebGLConfig.get().scrollStrength;
 			this.smoothedStrength +=
 				(targetStrength - this.smoothedStrength) * 0.1;
+			// Snap to rest so the scheduler can go idle once scroll settles
+			if (Math.abs(this.smoothedStrength) < 0.0001) {
+				this.smoothedStrength = 0;
+			} else {
+				RenderScheduler.invalidate();
+			}
 			this.view.setStrength(this.smoothedStrength);
 
 			const maxScroll =
@@ -1,6 +1,6 @@
 import { gsap } from 'gsap';
 import { DOMPlane } from '../DOMPlane';
-import TextureCache from '../utils/TextureCache';
+import RenderScheduler from '../utils/RenderScheduler';
 import vertexShader from './shaders/vertex.glsl';
 import fragmentShader from './shaders/fragment.glsl';
 
@@ -11,7 +11,15 @@ export class OriginalsView extends DOMPlane {
 			shaders: {
 				vertex: vertexShader,
 				fragment: fragmentShader,
+				defines: {
+					RGB_SHIFT_B: '2.0',
+					// Straight slide in from the right
+					ENTRANCE_OFFSET: 'vec2(1.75, 0.0)',
+					ENTRANCE_FLUTTER: '0.0',
+				},
 			},
+			// Slides are moved by smooothy transforms, not scroll
+			liveMeasure: true,
 		});
 		this.onReady = options.onReady;
 		this.template = options.template || document;
@@ -25,56 +33,23 @@ export class OriginalsView extends DOMPlane {
 
 		if (!images.length) return;
 
-		let settled = 0;
-		const uniqueSrcs = new Map();
-
-		images.forEach((img) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			if (!src || uniqueSrcs.has(src)) return;
-			uniqueSrcs.set(src, img);
-		});
+		// Placeholders get planes up early; the entrance still waits
+		// for the whole row so the left → right stagger holds
+		const planes = images.map((img, index) =>
+			this.loadPlane(img, index).catch((err) => {
+				console.error('[OriginalsView] Texture error:', err);
+				return null;
+			}),
+		);
 
-		const done = () => {
-			settled++;
-			if (settled === uniqueSrcs.size) {
-				this.createPlanes(images);
-			}
-		};
-
-		uniqueSrcs.forEach((img, src) => {
-			TextureCache.load(src)
-				.then((texture) => {
-					this.textures.push({ texture, src });
-					done();
-				})
-				.catch((err) => {
-					console.error('[OriginalsView] Texture error:', err);
-					done();
-				});
+		Promise.all(planes).then((meshes) => {
+			if (this.abortController.signal.aborted) return;
+			this.addPlanes(meshes.filter(Boolean));
 		});
 	}
 
-	createPlanes(images) {
-		images.forEach((img, index) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			const texEntry = this.textures.find((t) => t.src === src);
-			if (!texEntry) return;
-
-			const mesh = this.createPlane(texEntry.texture, img, index);
-
-			// Cover UV scaling — reuse bounds cached by createPlane
-			const bounds = mesh.userData.bounds;
-			const imageAspect =
-				texEntry.texture.image.width / texEntry.texture.image.height;
-			const planeAspect = bounds.width / bounds.height;
-			const coverScale =
-				imageAspect > planeAspect
-					? [planeAspect / imageAspect, 1.0]
-					: [1.0, imageAspect / planeAspect];
-
-			mesh.material.uniforms.uCoverScale = {
-				value: coverScale,
-			};
+	addPlanes(meshes) {
+		meshes.forEach((mesh) => {
 			mesh.material.uniforms.uOpacity = { value: 0 };
 			mesh.material.uniforms.uEntrance = { value: 1 };
 			mesh.material.uniforms.uStrength = { value: 0 };
@@ -120,30 +95,34 @@ export class OriginalsView extends DOMPlane {
 			sorted.forEach((plane, i) => {
 				const delay = i * 0.046;
 
-				gsap.to(plane.material.uniforms.uOpacity, {
-					value: 1,
-					duration: 0.75,
-					ease: 'sine.out',
-					delay,
-				});
-				gsap.to(plane.material.uniforms.uEntrance, {
-					value: 0,
-					duration: 1.5,
-					ease: 'power4.out',
-					delay,
-				});
+				RenderScheduler.track(
+					gsap.to(plane.material.uniforms.uOpacity, {
+						value: 1,
+						duration: 0.75,
+						ease: 'sine.out',
+						delay,
+					}),
+				);
+				RenderScheduler.track(
+					gsap.to(plane.material.uniforms.uEntrance, {
+						value: 0,
+						duration: 1.5,
+						ease: 'power4.out',
+						delay,
+					}),
+				);
 			});
 		});
 	}
 
 	setStrength(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uStrength.value = value;
 		});
 	}
 
 	setProgress(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uScrollProgress.value = value;
 		});
 	}
@@ -157,7 +136,7 @@ export class OriginalsView extends DOMPlane {
 	update({ delta }) {
 		this.updatePlanesPositions();
 
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			if (plane.material.uniforms.uTime) {
 				plane.material.uniforms.uTime.value += delta * 0.001;
 			}
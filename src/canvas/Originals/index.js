@@ -2,6 +2,7 @@ import { Page } from '../Page';
 import emitter from '@utils/Emitter';
 import { getComponents } from '@components';
 import WebGLConfig from '../utils/WebGLConfig';
+import RenderScheduler from '../utils/RenderScheduler';
 import { OriginalsView } from './OriginalsView';
 
 export class Originals extends Page {
@@ -9,7 +10,6 @@ export class Originals extends Page {
 		super(options);
 		this.view = null;
 		this.smoothedStrength = 0;
-		this._leaveTimer = null;
 		this.calculateViewport();
 	}
 
@@ -53,34 +53,19 @@ export class Originals extends Page {
 		});
 	}
 
-	onEnter(data) {
-		if (this._leaveTimer) {
-			clearTimeout(this._leaveTimer);
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.view = null;
-			this.created = false;
-			this.create(data);
-		}
-		super.onEnter(data);
-	}
-
-	transitionIn(onComplete) {
-		if (onComplete) onComplete();
+	destroyViews() {
+		this.view?.destroy?.();
+		this.view = null;
+		this.created = false;
 	}
 
-	transitionOut(onComplete) {
+	async transitionOut(signal) {
 		if (this.view) {
 			this.view.hide();
 		}
 
-		this._leaveTimer = setTimeout(() => {
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.view = null;
-			this.created = false;
-			if (onComplete) onComplete();
-		}, 1);
+		await this.wait(1, signal);
+		this.destroyViews();
 	}
 
 	onResize() {
@@ -98,6 +83,16 @@ export class Originals extends Page {
 			this.smoothedStrength +=
 				(targetStrength - this.smoothedStrength) * 0.1;
 
+			// Slider still gliding (inertia/snap) — keep frames coming
+			if (
+				Math.abs(slider.currentSpeed) > 0.0001 ||
+				Math.abs(this.smoothedStrength) > 0.0001
+			) {
+				RenderScheduler.invalidate();
+			} else {
+				this.smoothedStrength = 0;
+			}
+
 			this.view.setStrength(this.smoothedStrength);
 			this.view.setProgress(slider.currentProgress);
 		}
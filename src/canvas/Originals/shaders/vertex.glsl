@@ -5,7 +5,8 @@ uniform float uStrength;
 uniform vec2 uViewportSizes;
 uniform float uScrollProgress;
 uniform float uTime;
-uniform float uEntrance;
+
+#include <entrance>
 
 varying vec2 vUv;
 
@@ -19,7 +20,8 @@ void main() {
 	newPosition.z += targetDisplacementZ * 1.25;
 
 	// Entrance animation — offset X rightward, animated 1→0
-	newPosition.x += uEntrance * uViewportSizes.x * 1.75;
+	// (ENTRANCE_OFFSET / ENTRANCE_FLUTTER set by OriginalsView)
+	newPosition = entrance(newPosition, uv);
 
 	vUv = uv;
 
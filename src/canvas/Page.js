@@ -1,5 +1,6 @@
 import { Group } from 'three';
 import { Emitter } from '@utils/Emitter';
+import RenderScheduler from './utils/RenderScheduler';
 
 /**
  * Base class for all WebGL pages.
@@ -9,19 +10,35 @@ import { Emitter } from '@utils/Emitter';
  *
  * For pages that need DOM-mapped WebGL planes, use DOMPlane as a helper.
  * For pages with raw 3D scenes (particles, etc.), work with this.scene directly.
+ *
+ * Canvas renders on demand — anything that animates outside update()
+ * must call RenderScheduler.invalidate() / track() to get a frame.
+ *
+ * Route params (`/works/:slug` → `{ slug }`, utils/Router) arrive with
+ * onEnter() and stay in `this.params` until the next one.
+ *
+ * onEnter/onLeave and transitionIn/transitionOut return promises and
+ * take an AbortSignal from Canvas. An aborted leave still resolves —
+ * it skips its wait and tears down at once, since Canvas is about to
+ * enter the page again; wait() gives pages an abortable delay.
+ *
+ * `this.post` is Canvas's PostProcessing chain. Pages add their passes
+ * in onEnter and remove them in onLeave (see canvas/post).
  */
 export class Page extends Emitter {
-	constructor({ scene, camera, renderer, time }) {
+	constructor({ scene, camera, renderer, time, post }) {
 		super();
 
 		this.scene = scene;
 		this.camera = camera;
 		this.renderer = renderer;
 		this.time = time;
+		this.post = post;
 		this.elements = new Group();
 		this.elements.visible = false;
 		this.isActive = false;
 		this.created = false;
+		this.params = {};
 	}
 
 	async load() {}
@@ -36,35 +53,82 @@ export class Page extends Emitter {
 		this.emit('create');
 	}
 
-	onEnter(data) {
+	async onEnter(data, { params = {} } = {}, signal) {
+		this.params = params;
 		this.elements.visible = true;
 		this.isActive = true;
 		this.isTransitioning = true;
+		RenderScheduler.invalidate();
 
-		this.transitionIn(() => {
-			this.isTransitioning = false;
-		});
+		const entered = this.transitionIn(signal);
 		this.emit('enter', data);
+		await entered;
+		this.isTransitioning = false;
 	}
 
-	onLeave(data) {
+	async onLeave(data, signal) {
 		this.isTransitioning = true;
 
-		this.transitionOut(() => {
-			this.elements.visible = false;
-			this.isActive = false;
-			this.isTransitioning = false;
-		});
-
+		const left = this.transitionOut(signal);
 		this.emit('leave', data);
+		await left;
+
+		this.elements.visible = false;
+		this.isActive = false;
+		this.isTransitioning = false;
+		RenderScheduler.invalidate();
 	}
 
-	transitionIn(onComplete) {
-		onComplete();
+	/**
+	 * @param {AbortSignal} [signal] - aborts when a newer navigation
+	 *   supersedes this one
+	 */
+	async transitionIn() {}
+
+	/**
+	 * @param {AbortSignal} [signal] - aborts when the page is entered
+	 *   again mid-leave; finish immediately rather than reject
+	 */
+	async transitionOut() {}
+
+	/**
+	 * Resolve after `ms`, or as soon as `signal` aborts.
+	 * @param {number} ms
+	 * @param {AbortSignal} [signal]
+	 * @returns {Promise<void>}
+	 */
+	wait(ms, signal) {
+		return new Promise((resolve) => {
+			if (signal?.aborted) return resolve();
+
+			const timer = setTimeout(resolve, ms);
+			signal?.addEventListener(
+				'abort',
+				() => {
+					clearTimeout(timer);
+					resolve();
+				},
+				{ once: true },
+			);
+		});
 	}
 
-	transitionOut(onComplete) {
-		if (onComplete) onComplete();
+	/**
+	 * Rebuild after a WebGL context restore (see Canvas). Pages built on
+	 * views implement destroyViews() and get them recreated through
+	 * create(); planes follow Lenis, so they come back at the current
+	 * scroll, and the old view's pointer state is carried over. Raw
+	 * scenes keep their objects — three re-uploads them on next render.
+	 */
+	restoreContext(template = document) {
+		if (!this.created || !this.destroyViews) return;
+
+		const state = this.view?.getState?.();
+		this.destroyViews();
+		this.create(template);
+		if (state) this.view?.setState?.(state);
+
+		RenderScheduler.invalidate();
 	}
 
 	onResize() {}
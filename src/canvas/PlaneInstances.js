@@ -0,0 +1,324 @@
+import {
+	CanvasTexture,
+	DataArrayTexture,
+	DynamicDrawUsage,
+	InstancedBufferAttribute,
+	InstancedMesh,
+	LinearFilter,
+	Matrix4,
+	Mesh,
+	Object3D,
+	Plane,
+	PlaneGeometry,
+	Quaternion,
+	ShaderMaterial,
+	Vector3,
+} from 'three';
+
+// Per-plane uniforms that become instance attributes: name → [attribute, size]
+const INSTANCE_ATTRIBUTES = {
+	uOpacity: ['aOpacity', 1],
+	uBulge: ['aBulge', 1],
+	uMouse: ['aMouse', 2],
+	uCoverScale: ['aCoverScale', 2],
+	uEntrance: ['aEntrance', 1],
+};
+
+// Layers copied into the texture array per rendered frame
+const UPLOADS_PER_FRAME = 4;
+
+const Z_PLANE = new Plane(new Vector3(0, 0, 1), 0);
+const _matrix = new Matrix4();
+const _quaternion = new Quaternion();
+const _scale = new Vector3();
+const _point = new Vector3();
+const _hidden = new Matrix4().makeScale(0, 0, 0);
+
+// Meshes made by toMesh() — each on a geometry of its own
+const proxyMeshes = new WeakSet();
+
+/**
+ * Whether `mesh` came from toMesh(), so its geometry is already a
+ * fresh copy for the caller to keep.
+ * @param {THREE.Object3D} mesh
+ * @returns {boolean}
+ */
+export const isProxyMesh = (mesh) => proxyMeshes.has(mesh);
+
+/**
+ * PlaneInstances — the instanced path of DOMPlane (`instanced` option).
+ *
+ * All planes of a view draw as one InstancedMesh with one material.
+ * Each plane is a proxy Object3D that DOMPlane positions and culls as
+ * usual. It carries the material a Mesh would have, never compiled —
+ * views animate its uniforms as before. Before each draw, sync()
+ * writes proxies into the instance matrix (position × world size ×
+ * scale) and the per-instance attributes listed in INSTANCE_ATTRIBUTES.
+ * Any other uniform is shared — the instanced material takes the first
+ * visible plane's value (setStrength / setProgress write the same value
+ * to every visible plane).
+ *
+ * Textures are layers of one DataArrayTexture (`layerSize` square,
+ * stretched — cover UVs still come from the image's own aspect),
+ * copied on the GPU a few per frame as planes arrive.
+ *
+ * toMesh() wraps a proxy's material in a regular Mesh, for
+ * TransitionController flights. Its geometry isn't kept here — the
+ * flight takes it over and disposes it when it ends.
+ */
+export class PlaneInstances {
+	constructor({ parent, shaders, count, layerSize = 512 }) {
+		this.capacity = count;
+		this.layerSize = layerSize;
+		this.planes = [];
+		this.uploads = [];
+
+		this.textures = new DataArrayTexture(
+			null,
+			layerSize,
+			layerSize,
+			count,
+		);
+		this.textures.generateMipmaps = false;
+		this.textures.minFilter = LinearFilter;
+		this.textures.magFilter = LinearFilter;
+		// Storage only — layers arrive through copyTextureToTexture
+		this.textures.source.dataReady = false;
+		this.textures.needsUpdate = true;
+
+		this.canvas = document.createElement('canvas');
+		this.canvas.width = layerSize;
+		this.canvas.height = layerSize;
+		this.ctx = this.canvas.getContext('2d');
+		// Never uploaded itself — copyTextureToTexture reads the canvas
+		this.layer = new CanvasTexture(this.canvas);
+
+		const geometry = new PlaneGeometry(1, 1, 24, 24);
+		this.attributes = {};
+		Object.values(INSTANCE_ATTRIBUTES).forEach(([name, size]) => {
+			this.addAttribute(geometry, name, size);
+		});
+		this.addAttribute(geometry, 'aLayer', 1);
+
+		this.material = new ShaderMaterial({
+			vertexShader: shaders.instanced.vertex,
+			fragmentShader: shaders.instanced.fragment,
+			defines: { ...shaders.defines },
+			transparent: true,
+			uniforms: { uTextures: { value: this.textures } },
+		});
+
+		this.mesh = new InstancedMesh(geometry, this.material, count);
+		this.mesh.instanceMatrix.setUsage(DynamicDrawUsage);
+		// Instances follow the DOM; a bounding sphere would go stale
+		this.mesh.frustumCulled = false;
+		this.mesh.count = 0;
+		this.mesh.visible = false;
+		this.mesh.onBeforeRender = (renderer) => {
+			this.upload(renderer);
+			this.sync();
+		};
+		parent.add(this.mesh);
+	}
+
+	addAttribute(geometry, name, size) {
+		const attribute = new InstancedBufferAttribute(
+			new Float32Array(this.capacity * size),
+			size,
+		);
+		attribute.setUsage(DynamicDrawUsage);
+		geometry.setAttribute(name, attribute);
+		this.attributes[name] = attribute;
+	}
+
+	/**
+	 * Proxy plane for `texture` — stands in for a Mesh in DOMPlane.
+	 * @param {THREE.Texture} texture - drawn into the next layer
+	 * @param {THREE.ShaderMaterial} material - the plane's own material
+	 * @returns {THREE.Object3D|null} null once capacity is reached
+	 */
+	add(texture, material) {
+		if (this.planes.length >= this.capacity) {
+			console.warn(
+				`[PlaneInstances] Capacity ${this.capacity} reached, plane skipped`,
+			);
+			return null;
+		}
+
+		const plane = new Object3D();
+		plane.material = material;
+
+		const layer = this.planes.length;
+		this.attributes.aLayer.setX(layer, layer);
+		this.attributes.aLayer.needsUpdate = true;
+		this.uploads.push({ texture, layer });
+
+		this.planes.push(plane);
+		this.mesh.count = this.planes.length;
+		this.mesh.visible = true;
+		return plane;
+	}
+
+	// Draw pending textures into their layers, a few per frame
+	upload(renderer) {
+		const size = this.layerSize;
+		const position = new Vector3();
+
+		this.uploads
+			.splice(0, UPLOADS_PER_FRAME)
+			.forEach(({ texture, layer }) => {
+				// Canvas rows run top-down, texture rows bottom-up
+				this.ctx.setTransform(1, 0, 0, -1, 0, size);
+				this.ctx.clearRect(0, 0, size, size);
+				this.drawLayer(texture);
+
+				position.set(0, 0, layer);
+				renderer.copyTextureToTexture(
+					this.layer,
+					this.textures,
+					null,
+					position,
+				);
+			});
+	}
+
+	drawLayer(texture) {
+		const size = this.layerSize;
+		const atlas = texture.userData.atlas;
+		if (!atlas) {
+			this.ctx.drawImage(texture.image, 0, 0, size, size);
+			return;
+		}
+
+		// Atlas texture — its region of the page (rect v runs bottom-up)
+		const { rect, width, height } = atlas;
+		const page = texture.image;
+		this.ctx.drawImage(
+			page,
+			rect.x * page.width,
+			(1 - rect.y - rect.w) * page.height,
+			width,
+			height,
+			0,
+			0,
+			size,
+			size,
+		);
+	}
+
+	sync() {
+		const first =
+			this.planes.find(
+				(plane) => plane.visible && !plane.userData.flying,
+			) || this.planes[0];
+		if (!first) return;
+
+		// Shared uniforms, from the first visible plane
+		const { uniforms } = this.material;
+		Object.entries(first.material.uniforms).forEach(
+			([key, uniform]) => {
+				if (INSTANCE_ATTRIBUTES[key]) return;
+				if (!uniforms[key]) {
+					uniforms[key] = { value: uniform.value };
+					// Rebuild the uniform list with the new entry
+					this.material.needsUpdate = true;
+					return;
+				}
+				uniforms[key].value = uniform.value;
+			},
+		);
+
+		this.planes.forEach((plane, i) => {
+			const { size, flying } = plane.userData;
+
+			if (!plane.visible || flying || !size) {
+				this.mesh.setMatrixAt(i, _hidden);
+			} else {
+				_scale.set(
+					plane.scale.x * size.width,
+					plane.scale.y * size.height,
+					1,
+				);
+				_matrix.compose(plane.position, _quaternion, _scale);
+				this.mesh.setMatrixAt(i, _matrix);
+			}
+
+			Object.entries(INSTANCE_ATTRIBUTES).forEach(([key, [name]]) => {
+				const value = plane.material.uniforms[key]?.value;
+				if (value === undefined) return;
+
+				const attribute = this.attributes[name];
+				if (attribute.itemSize === 1) {
+					attribute.setX(i, value);
+				} else {
+					attribute.setXY(
+						i,
+						value.x ?? value[0],
+						value.y ?? value[1],
+					);
+				}
+			});
+		});
+
+		this.mesh.instanceMatrix.needsUpdate = true;
+		Object.values(this.attributes).forEach((attribute) => {
+			attribute.needsUpdate = true;
+		});
+	}
+
+	/**
+	 * Topmost visible plane under the ray, and the hit UV — planes sit
+	 * flat at z = 0, so this is a rect test rather than a triangle walk.
+	 * @param {THREE.Raycaster} raycaster
+	 * @param {THREE.Object3D[]} planes - candidates (visible planes)
+	 * @returns {{ plane: THREE.Object3D, uv: { x: number, y: number } }|null}
+	 */
+	raycast(raycaster, planes) {
+		if (!raycaster.ray.intersectPlane(Z_PLANE, _point)) return null;
+
+		for (let i = planes.length - 1; i >= 0; i--) {
+			const plane = planes[i];
+			const { size, flying } = plane.userData;
+			if (!plane.visible || flying || !size) continue;
+
+			const halfWidth = (plane.scale.x * size.width) / 2;
+			const halfHeight = (plane.scale.y * size.height) / 2;
+			const dx = _point.x - plane.position.x;
+			const dy = _point.y - plane.position.y;
+			if (Math.abs(dx) > halfWidth || Math.abs(dy) > halfHeight)
+				continue;
+
+			return {
+				plane,
+				uv: {
+					x: (dx / halfWidth + 1) / 2,
+					y: (dy / halfHeight + 1) / 2,
+				},
+			};
+		}
+		return null;
+	}
+
+	/**
+	 * Standalone Mesh for a proxy — its material, userData and
+	 * transform. Not added to the scene.
+	 */
+	toMesh(plane, geometry) {
+		const mesh = new Mesh(geometry, plane.material);
+		mesh.position.copy(plane.position);
+		mesh.scale.copy(plane.scale);
+		mesh.userData = plane.userData;
+		proxyMeshes.add(mesh);
+		return mesh;
+	}
+
+	dispose() {
+		this.mesh.removeFromParent();
+		this.mesh.geometry.dispose();
+		this.material.dispose();
+		this.textures.dispose();
+		this.layer.dispose();
+		this.planes = [];
+		this.uploads = [];
+	}
+}
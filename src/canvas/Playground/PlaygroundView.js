@@ -0,0 +1,151 @@
+import { gsap } from 'gsap';
+import { DOMPlane } from '../DOMPlane';
+import RenderScheduler from '../utils/RenderScheduler';
+import TextureCache from '../utils/TextureCache';
+import emitter from '@utils/Emitter';
+import vertexShader from './shaders/vertex.glsl';
+import fragmentShader from './shaders/fragment.glsl';
+
+// Smoothing of the per-frame position delta
+const VELOCITY_EASE = 0.25;
+
+// Screen widths per frame that count as full-strength motion
+const FULL_SPEED = 0.04;
+
+// Barrel warp per world unit of velocity
+const DEFORM = 0.5;
+
+/**
+ * PlaygroundView — one plane per `[data-pl-mode="card-item"]`, mapped
+ * to the card's image.
+ *
+ * Cards are moved by PLModeSwitch Flip animations, so planes measure
+ * live and follow position and scale every frame. The frame-to-frame
+ * movement drives a barrel warp (uOffset) and an RGB shift + motion
+ * blur along the travel direction — the WebGL version of the CSS blur
+ * the DOM-only grid uses. Mapped cards get `data-gl-plane`, which tells
+ * PLModeSwitch to skip that CSS blur.
+ */
+export class PlaygroundView extends DOMPlane {
+	constructor(options) {
+		super({
+			...options,
+			shaders: {
+				vertex: vertexShader,
+				fragment: fragmentShader,
+			},
+			// Cards are moved by Flip transforms, not scroll
+			liveMeasure: true,
+		});
+		this.template = options.template || document;
+		this.cards = [];
+
+		// Render every frame of a mode switch, stagger included
+		this._onModeSwitch = ({ animation }) =>
+			RenderScheduler.track(animation);
+		emitter.on('playground:mode:switch', this._onModeSwitch);
+
+		this.loadImages();
+	}
+
+	loadImages() {
+		const cards = Array.from(
+			this.template.querySelectorAll('[data-pl-mode="card-item"]'),
+		);
+
+		cards.forEach((card, index) => {
+			const el = TextureCache.sourceElement(card);
+			if (!this.getSource(el).src) return;
+
+			this.loadPlane(el, index)
+				.then((mesh) => {
+					if (mesh) this.addPlane(mesh, card);
+				})
+				.catch((err) => {
+					console.error('[PlaygroundView] Texture error:', err);
+				});
+		});
+	}
+
+	addPlane(mesh, card) {
+		mesh.material.uniforms.uStrength = { value: 0 };
+		mesh.material.uniforms.uVelocityDir = { value: { x: 0, y: 0 } };
+		mesh.material.uniforms.uOpacity.value = 0;
+		mesh.userData.velocity = { x: 0, y: 0 };
+
+		this.imagePlanes.push(mesh);
+		this.imageGroup.add(mesh);
+		this.cards.push(card);
+		card.setAttribute('data-gl-plane', '');
+
+		// Hide the DOM image once its WebGL plane is ready
+		mesh.userData.img.style.opacity = '0';
+
+		this.updatePlanePosition(mesh);
+
+		RenderScheduler.track(
+			gsap.to(mesh.material.uniforms.uOpacity, {
+				value: 1,
+				duration: 0.8,
+				ease: 'sine.out',
+			}),
+		);
+	}
+
+	update() {
+		this.imagePlanes.forEach((plane) => {
+			const { x, y } = plane.position;
+			this.updatePlanePosition(plane);
+			this.updateVelocity(
+				plane,
+				plane.position.x - x,
+				plane.position.y - y,
+			);
+		});
+	}
+
+	updateVelocity(plane, dx, dy) {
+		const { velocity } = plane.userData;
+		const { uniforms } = plane.material;
+
+		velocity.x += (dx - velocity.x) * VELOCITY_EASE;
+		velocity.y += (dy - velocity.y) * VELOCITY_EASE;
+
+		let speed = Math.hypot(velocity.x, velocity.y);
+
+		// Snap to rest so the scheduler can go idle once cards settle
+		if (speed < 0.00001) {
+			velocity.x = 0;
+			velocity.y = 0;
+			speed = 0;
+		} else {
+			RenderScheduler.invalidate();
+		}
+
+		// Middle of the card trails behind (velocityDeform bends x
+		// along +uOffset.x, y along -uOffset.y)
+		uniforms.uOffset.value = {
+			x: -velocity.x * DEFORM,
+			y: velocity.y * DEFORM,
+		};
+		uniforms.uStrength.value = Math.min(
+			speed / this.viewport.width / FULL_SPEED,
+			1,
+		);
+		if (speed) {
+			uniforms.uVelocityDir.value = {
+				x: velocity.x / speed,
+				y: velocity.y / speed,
+			};
+		}
+	}
+
+	destroy() {
+		emitter.off('playground:mode:switch', this._onModeSwitch);
+		this.cards.forEach((card) =>
+			card.removeAttribute('data-gl-plane'),
+		);
+		this.cards = [];
+		super.destroy();
+	}
+}
@@ -0,0 +1,75 @@
+import { Page } from '../Page';
+import { PlaygroundView } from './PlaygroundView';
+
+export class Playground extends Page {
+	constructor(options) {
+		super(options);
+		this.view = null;
+		this.calculateViewport();
+	}
+
+	calculateViewport() {
+		this.screen = {
+			width: window.innerWidth,
+			height: window.innerHeight,
+		};
+
+		const fov = this.camera.fov * (Math.PI / 180);
+		const height = 2 * Math.tan(fov / 2) * this.camera.position.z;
+		const width = height * this.camera.aspect;
+
+		this.viewport = { width, height };
+	}
+
+	create(template = document) {
+		if (this.created) return;
+
+		this.calculateViewport();
+		this.initView(template);
+
+		this.scene.add(this.elements);
+		this.created = true;
+		this.emit('create');
+	}
+
+	initView(template = document) {
+		this.view = new PlaygroundView({
+			parent: this.elements,
+			camera: this.camera,
+			viewport: this.viewport,
+			screen: this.screen,
+			template,
+		});
+	}
+
+	destroyViews() {
+		this.view?.destroy?.();
+		this.view = null;
+		this.created = false;
+	}
+
+	async transitionOut(signal) {
+		if (this.view) {
+			this.view.hide();
+		}
+
+		await this.wait(1400, signal);
+		this.destroyViews();
+	}
+
+	onResize() {
+		this.calculateViewport();
+		this.view?.onResize?.(this.viewport, this.screen);
+	}
+
+	update(time) {
+		if (!this.isActive || !this.view) return;
+
+		this.view.update(time);
+	}
+
+	destroy() {
+		this.view?.destroy?.();
+		super.destroy();
+	}
+}
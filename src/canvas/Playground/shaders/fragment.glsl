@@ -0,0 +1,25 @@
+precision highp float;
+#define PI 3.1415926535897932384626433832795
+
+#include <progressiveTexture>
+#include <cover>
+#include <rgbShift>
+#include <motionBlur>
+
+uniform float uStrength;
+uniform float uOpacity;
+uniform vec2 uVelocityDir;
+uniform float uRGBMul;
+uniform float uBlurMul;
+
+varying vec2 vUv;
+
+void main() {
+	// --- RGB Shift + motion blur along the card's Flip velocity ---
+	// (replaces the CSS filter: blur(10px) of the DOM-only grid)
+	vec2 axis = normalize(uVelocityDir + vec2(0.001));
+	float shiftAmount = uStrength * 0.01 * uRGBMul;
+	float blurAmount = uStrength * 0.12 * uBlurMul;
+
+	gl_FragColor = vec4(motionBlur(coverUv(vUv), axis, blurAmount, shiftAmount), uOpacity);
+}
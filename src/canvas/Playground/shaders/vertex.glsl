@@ -0,0 +1,22 @@
+precision highp float;
+#define PI 3.1415926535897932384626433832795
+
+uniform float uStrength;
+
+#include <velocityDeform>
+
+varying vec2 vUv;
+
+void main() {
+	// Barrel warp against the direction the card travels (Flip)
+	vec3 newPosition = velocityDeform(position, uv);
+
+	vec4 mvPosition = modelViewMatrix * vec4(newPosition, 1.0);
+
+	// Slight Z bow while moving, like paper dragged through air
+	mvPosition.z -= sin(uv.x * PI) * sin(uv.y * PI) * uStrength * 0.05;
+
+	vUv = uv;
+
+	gl_Position = projectionMatrix * mvPosition;
+}
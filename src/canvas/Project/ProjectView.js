@@ -1,6 +1,7 @@
 import { gsap } from 'gsap';
 import { DOMPlane } from '../DOMPlane';
-import TextureCache from '../utils/TextureCache';
+import RenderScheduler from '../utils/RenderScheduler';
+import { resolveTransitionPreset } from '../utils/transitionPresets';
 import emitter from '@utils/Emitter';
 import { isMobile } from '@utils/device';
 import vertexShader from '../shaders/sharedVert.glsl';
@@ -27,141 +28,77 @@ export class ProjectView extends DOMPlane {
 
 		if (!images.length) return;
 
-		// Wait for DOM images to load (ensures getBoundingClientRect returns correct height
-		// when images use height:auto with no width/height HTML attributes)
-		const imgLoadPromises = images
-			.filter((img) => !img.complete)
-			.map(
-				(img) =>
-					new Promise((resolve) => {
-						img.addEventListener('load', resolve, {
-							once: true,
-						});
-						img.addEventListener('error', resolve, {
-							once: true,
-						});
-					}),
-			);
-
-		let settled = 0;
-		const uniqueSrcs = new Map();
-
-		images.forEach((img) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			if (!src || uniqueSrcs.has(src)) return;
-			uniqueSrcs.set(src, img);
-		});
-
-		let texturesReady = false;
-		let domImagesReady = imgLoadPromises.length === 0;
-
-		const tryCreatePlanes = () => {
-			if (texturesReady && domImagesReady) {
-				this.createPlanes(images);
-			}
-		};
-
-		Promise.all(imgLoadPromises).then(() => {
-			domImagesReady = true;
-			tryCreatePlanes();
-		});
-
-		const done = () => {
-			settled++;
-			if (settled === uniqueSrcs.size) {
-				texturesReady = true;
-				tryCreatePlanes();
-			}
-		};
-
-		uniqueSrcs.forEach((_img, src) => {
-			TextureCache.load(src)
-				.then((texture) => {
-					this.textures.push({ texture, src });
-					done();
+		// Each plane appears on its own, starting from a placeholder.
+		// Heights that settle once a DOM img loads (height:auto) are
+		// picked up by the ResizeObserver in DOMPlane.
+		images.forEach((img, index) => {
+			this.loadPlane(img, index)
+				.then((mesh) => {
+					if (mesh) this.addPlane(mesh);
 				})
 				.catch((err) => {
 					console.error('[ProjectView] Texture error:', err);
-					done();
 				});
 		});
 	}
 
-	createPlanes(images) {
-		images.forEach((img, index) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
-			const texEntry = this.textures.find((t) => t.src === src);
-			if (!texEntry) return;
-
-			const mesh = this.createPlane(texEntry.texture, img, index);
-
-			// Cover UV scaling
-			const bounds = img.getBoundingClientRect();
-			const imageAspect =
-				texEntry.texture.image.width / texEntry.texture.image.height;
-			const planeAspect = bounds.width / bounds.height;
-			const coverScale =
-				imageAspect > planeAspect
-					? [planeAspect / imageAspect, 1.0]
-					: [1.0, imageAspect / planeAspect];
-
-			mesh.material.uniforms.uCoverScale = { value: coverScale };
-			mesh.material.uniforms.uStrength = { value: 0 };
-			mesh.material.uniforms.uScrollProgress = { value: 0 };
-			mesh.material.uniforms.uViewportSizes = {
-				value: [this.viewport.width, this.viewport.height],
-			};
-			mesh.material.uniforms.uMouse = { value: [0.5, 0.5] };
-			mesh.material.uniforms.uBulge = { value: 0 };
-			mesh.material.uniforms.uPageTransition = { value: 0 };
-
-			this.imagePlanes.push(mesh);
-			this.imageGroup.add(mesh);
-		});
-		this.updatePlanesPositions();
-		this.setupClickHandlers();
+	addPlane(mesh) {
+		mesh.material.uniforms.uStrength = { value: 0 };
+		mesh.material.uniforms.uScrollProgress = { value: 0 };
+		mesh.material.uniforms.uViewportSizes = {
+			value: [this.viewport.width, this.viewport.height],
+		};
+		mesh.material.uniforms.uMouse = { value: [0.5, 0.5] };
+		mesh.material.uniforms.uBulge = { value: 0 };
+		mesh.material.uniforms.uPageTransition = { value: 0 };
+
+		this.imagePlanes.push(mesh);
+		this.imageGroup.add(mesh);
+		this.updatePlanePosition(mesh);
+		this.setupClickHandler(mesh);
 	}
 
-	setupClickHandlers() {
-		this.imagePlanes.forEach((mesh) => {
-			const link = mesh.userData.img.closest('a[href]');
-			if (!link) return;
-
-			link.addEventListener(
-				'click',
-				() => {
-					if (isMobile()) return;
-
-					emitter.emit('webgl:transition:prepare', {
-						mesh,
-						targetUrl: link.href,
-						sourcePage: 'project',
-						startPosition: null,
-					});
-
-					// Fade out all other planes
-					this.imagePlanes.forEach((plane) => {
-						if (plane === mesh) return;
+	setupClickHandler(mesh) {
+		const link = mesh.userData.img.closest('a[href]');
+		if (!link) return;
+
+		link.addEventListener(
+			'click',
+			() => {
+				if (isMobile()) return;
+
+				emitter.emit('webgl:transition:prepare', {
+					mesh,
+					targetUrl: link.href,
+					sourcePage: 'project',
+					startPosition: null,
+					preset: resolveTransitionPreset(link),
+				});
+
+				// Fade out all other planes
+				this.imagePlanes.forEach((plane) => {
+					if (plane === mesh) return;
+					RenderScheduler.track(
 						gsap.to(plane.material.uniforms.uOpacity, {
 							value: 0,
 							duration: 0.4,
 							ease: 'sine.in',
-						});
-					});
-				},
-				{ signal: this.abortController.signal },
-			);
-		});
+						}),
+					);
+				});
+			},
+			{ signal: this.abortController.signal },
+		);
 	}
 
 	setStrength(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uStrength.value = value;
 		});
 	}
 
 	setProgress(value) {
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			plane.material.uniforms.uScrollProgress.value = value;
 		});
 	}
@@ -175,7 +112,7 @@ export class ProjectView extends DOMPlane {
 	update({ delta }) {
 		this.updatePlanesPositions();
 
-		this.imagePlanes.forEach((plane) => {
+		this.visiblePlanes.forEach((plane) => {
 			if (plane.material.uniforms.uTime) {
 				plane.material.uniforms.uTime.value += delta * 0.001;
 			}
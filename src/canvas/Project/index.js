@@ -2,6 +2,7 @@ import { Page } from '../Page';
 import emitter from '@utils/Emitter';
 import SmoothScroll from '@utils/SmoothScroll';
 import WebGLConfig from '../utils/WebGLConfig';
+import RenderScheduler from '../utils/RenderScheduler';
 import { ProjectView } from './ProjectView';
 
 export class Project extends Page {
@@ -9,7 +10,7 @@ export class Project extends Page {
 		super(options);
 		this.view = null;
 		this.smoothedStrength = 0;
-		this._leaveTimer = null;
+		this._targetWatch = null;
 		this.calculateViewport();
 	}
 
@@ -42,8 +43,33 @@ export class Project extends Page {
 
 	notifyTransitionTarget() {
 		const heroImg = document.querySelector('[data-project-hero]');
-		if (!heroImg) return;
+		const player = document.querySelector('[data-video="main"]');
+		if (!heroImg && !player) return;
+
+		emitter.emit(
+			'webgl:transition:target-ready',
+			this.getTransitionTarget(heroImg, player),
+		);
+		this.watchTransitionTarget(heroImg, player);
+	}
+
+	// Hero rect, plus the main player's for video flights to land on
+	getTransitionTarget(heroImg, player) {
+		const videoRect = player
+			? this.getTransitionTargetRect(player)
+			: null;
+
+		return {
+			rect: heroImg
+				? this.getTransitionTargetRect(heroImg)
+				: videoRect,
+			videoRect,
+			viewport: this.viewport,
+			screen: this.screen,
+		};
+	}
 
+	getTransitionTargetRect(heroImg) {
 		// Use offsetLeft/Top accumulation for document-space coords.
 		// getBoundingClientRect() would be wrong here because the old page
 		// may still be scrolled down — document coords = viewport coords at scroll 0.
@@ -56,16 +82,62 @@ export class Project extends Page {
 			el = el.offsetParent;
 		}
 
-		emitter.emit('webgl:transition:target-ready', {
-			rect: {
-				left,
-				top,
-				width: heroImg.offsetWidth,
-				height: heroImg.offsetHeight,
-			},
-			viewport: this.viewport,
-			screen: this.screen,
+		return {
+			left,
+			top,
+			width: heroImg.offsetWidth,
+			height: heroImg.offsetHeight,
+		};
+	}
+
+	/**
+	 * The hero (or main player) can still move while the plane flies
+	 * in (web fonts or images above it settling) — re-emit target-ready
+	 * when it does, so TransitionController redirects the plane. Stops
+	 * once it lands, or at the next navigation — a stale hero mustn't
+	 * catch its flight.
+	 */
+	watchTransitionTarget(heroImg, player) {
+		this.unwatchTransitionTarget();
+
+		const moved = (rect, last) =>
+			!!rect &&
+			Object.keys(rect).some(
+				(key) => Math.abs(rect[key] - last[key]) >= 1,
+			);
+
+		let last = this.getTransitionTarget(heroImg, player);
+		const observer = new ResizeObserver(() => {
+			const target = this.getTransitionTarget(heroImg, player);
+			if (
+				!moved(target.rect, last.rect) &&
+				!moved(target.videoRect, last.videoRect)
+			)
+				return;
+
+			last = target;
+			emitter.emit('webgl:transition:target-ready', target);
+		});
+		[heroImg, player, document.body].forEach((el) => {
+			if (el) observer.observe(el);
 		});
+
+		const stop = () => this.unwatchTransitionTarget();
+		emitter.on('webgl:transition:complete', stop);
+		emitter.on('webgl:transition:abort', stop);
+		emitter.on('transition:start', stop);
+		this._targetWatch = { observer, stop };
+	}
+
+	unwatchTransitionTarget() {
+		if (!this._targetWatch) return;
+
+		const { observer, stop } = this._targetWatch;
+		observer.disconnect();
+		emitter.off('webgl:transition:complete', stop);
+		emitter.off('webgl:transition:abort', stop);
+		emitter.off('transition:start', stop);
+		this._targetWatch = null;
 	}
 
 	initView(template = document) {
@@ -78,35 +150,24 @@ export class Project extends Page {
 		});
 	}
 
-	onEnter(data) {
-		if (this._leaveTimer) {
-			clearTimeout(this._leaveTimer);
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.view = null;
-			this.created = false;
-			this.create(data);
-		}
-		super.onEnter(data);
+	destroyViews() {
+		this.unwatchTransitionTarget();
+		this.view?.destroy?.();
+		this.view = null;
+		this.created = false;
 	}
 
-	transitionIn(onComplete) {
+	async transitionIn() {
 		emitter.emit('project:enter-ready');
-		if (onComplete) onComplete();
 	}
 
-	transitionOut(onComplete) {
+	async transitionOut(signal) {
 		if (this.view) {
 			this.view.hide();
 		}
 
-		this._leaveTimer = setTimeout(() => {
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.view = null;
-			this.created = false;
-			if (onComplete) onComplete();
-		}, 1400);
+		await this.wait(1400, signal);
+		this.destroyViews();
 	}
 
 	onResize() {
@@ -123,6 +184,12 @@ export class Project extends Page {
 				lenis.velocity * 0.005 * WebGLConfig.get().scrollStrength;
 			this.smoothedStrength +=
 				(targetStrength - this.smoothedStrength) * 0.1;
+			// Snap to rest so the scheduler can go idle once scroll settles
+			if (Math.abs(this.smoothedStrength) < 0.0001) {
+				this.smoothedStrength = 0;
+			} else {
+				RenderScheduler.invalidate();
+			}
 			this.view.setStrength(this.smoothedStrength);
 
 			const maxScroll =
@@ -3,6 +3,13 @@ import { gsap } from 'gsap';
 import CustomEase from 'gsap/CustomEase';
 import emitter from '@utils/Emitter';
 import { isMobile } from '@utils/device';
+import { PLANE_ELEMENTS } from './DOMPlane';
+import { isProxyMesh } from './PlaneInstances';
+import RenderScheduler from './utils/RenderScheduler';
+import TextureCache from './utils/TextureCache';
+import { getCoverScale, getTextureAspect } from './utils/cover';
+import { getAtlasRect } from './utils/TextureAtlas';
+import { resolveTransitionPreset } from './utils/transitionPresets';
 
 gsap.registerPlugin(CustomEase);
 
@@ -13,6 +20,23 @@ const FADE = {
 
 const TRANSITION = CustomEase.create('transition', '0.4, 0, 0.2, 1');
 
+// Shortest redirect after a retarget, so a late one doesn't snap
+const RETARGET_DURATION = 0.4;
+
+// Inherited styles a shared DOM clone takes along out of its context
+const SHARED_STYLES = [
+	'color',
+	'fontFamily',
+	'fontSize',
+	'fontStyle',
+	'fontWeight',
+	'letterSpacing',
+	'lineHeight',
+	'textAlign',
+	'textTransform',
+	'whiteSpace',
+];
+
 /**
  * TransitionController — handles cross-page WebGL mesh transitions.
  *
@@ -20,21 +44,68 @@ const TRANSITION = CustomEase.create('transition', '0.4, 0, 0.2, 1');
  *
  * State machine:
  *   [Idle] → webgl:transition:prepare → [Waiting] → webgl:transition:target-ready → [Animating] → [Complete] → [Idle]
+ *   [Animating] → target-ready (new rect) → [Animating], redirected
+ *   [Animating] → prepare from the flying plane → [Waiting], same clone
+ *   [Waiting|Animating] → other prepare / popstate → fade out → [Idle]
  *
  * Events consumed:
- *   - webgl:transition:prepare   { mesh, targetUrl, sourcePage, startPosition? }
- *   - webgl:transition:target-ready  { rect, viewport, screen }
+ *   - webgl:transition:prepare   { mesh, targetUrl, sourcePage, startPosition?, preset? }
+ *   - webgl:transition:target-ready  { rect, viewport, screen, root?, videoRect? }
+ *   - transition:start / transition:complete  (return flights)
  *
  * Events emitted:
- *   - webgl:transition:handoff   (HTML image can fade in)
+ *   - webgl:transition:return    { scroll } (back/forward flight starting)
+ *   - webgl:transition:retarget  { rect } | { targetUrl } (redirected)
+ *   - webgl:transition:abort     { reason, targetUrl } (faded out early)
+ *   - webgl:transition:handoff   { video? } (HTML image can fade in)
  *   - webgl:transition:complete  (cleanup done)
+ *
+ * Interruptions: a target-ready while animating (the hero re-laid out
+ * as fonts or images settle) replaces the plane's position / size /
+ * cover tweens with new ones from where it is. A click on the flying
+ * plane's own image (or the one it's landing on) hands the clone to
+ * the new navigation. Any other navigation fades the flight out in
+ * place. Clicks during a Taxi transition are dropped, like Taxi does.
+ *
+ * Return flights: prepare records the flight in the source page's
+ * history entry (`history.state.flight`: target URL, plane index,
+ * scroll). Going back or forward onto that entry from the target
+ * flies the `[data-project-hero]` plane back to its thumbnail. The
+ * route restores the grid's scroll before transition:complete, so
+ * the thumbnail's rect is read in place. The thumbnail is marked
+ * `data-gl-landing` meanwhile — its plane stays hidden until cleanup.
+ *
+ * Shared elements: `[data-shared-id]` elements in the clicked card
+ * (the link around the plane) travel with it to the element with the
+ * same id in the target page (`root`, default the incoming view).
+ * Those with a plane in the source view fly as extra meshes; the rest
+ * (title, meta) are DOM clones in fixed position, Flip-animated from
+ * their rect to the target's once it's measured. Everything runs on
+ * the flight's timeline and hands off with it.
+ *
+ * Video planes (DOMPlane `data-gl-video`) fly on a VideoTexture of
+ * their own and land on the target's main player (`videoRect`) when
+ * it has one. Their playback is read at take-off; the handoff carries
+ * where it has got to since (`video: { currentTime, playing }`) for
+ * the player to seek to — the frame freezes once the old page and its
+ * <video> are gone, the timeline doesn't.
+ *
+ * Timings and the shader effect come from the link's preset
+ * (utils/transitionPresets — data-gl-transition / data-gl-duration),
+ * resolved by the source view. Ripple when none is passed.
+ *
+ * Both timelines are tracked by RenderScheduler so the flight keeps
+ * rendering even when the source/target pages are otherwise idle.
  */
 export class TransitionController {
 	constructor(canvas) {
 		this.canvas = canvas;
 		this.transitionMesh = null;
+		this.shared = []; // { id, mesh, sourcePlane } | { id, clone, rect, fontSize }
+		this.flightTweens = []; // the plane's position / size / cover
 		this.timeline = null;
 		this.activePageTransition = null;
+		this.location = window.location.href;
 
 		emitter.on(
 			'webgl:transition:prepare',
@@ -44,24 +115,195 @@ export class TransitionController {
 			'webgl:transition:target-ready',
 			this.handleTargetReady.bind(this),
 		);
+		// Registered before main.js swaps Canvas pages on complete
+		emitter.on('transition:start', this.handleNavigate.bind(this));
+		emitter.on('transition:complete', this.handleArrive.bind(this));
 	}
 
 	handleTransitionPrepare(data) {
 		if (isMobile()) return;
 
-		const { mesh, targetUrl, sourcePage, startPosition } = data;
+		const {
+			mesh,
+			targetUrl,
+			sourcePage,
+			startPosition,
+			preset = resolveTransitionPreset(),
+		} = data;
 		if (!mesh) return;
+		// Taxi ignores the click mid-navigation — so does the flight
+		if (this.canvas.isTransitioning) return;
 
 		if (this.activePageTransition) {
-			this.cancelPageTransition();
+			if (this.adopt(mesh, targetUrl, preset)) {
+				this.rememberFlight(mesh, targetUrl, preset);
+				this.activePageTransition.launching = true;
+				return;
+			}
+			this.abort('navigation');
 		}
 
-		this.startTransition(mesh, targetUrl, sourcePage, startPosition);
+		this.rememberFlight(mesh, targetUrl, preset);
+		this.startTransition(
+			mesh,
+			targetUrl,
+			sourcePage,
+			startPosition,
+			preset,
+		);
+		this.prepareShared(
+			mesh.userData.img?.closest('a[href]'),
+			mesh.userData.img,
+		);
+		// transition:start for this click mustn't abort it
+		this.activePageTransition.launching = true;
+	}
+
+	// Still the source page's entry — Taxi pushes the target's after this
+	rememberFlight(mesh, targetUrl, preset) {
+		const flight = {
+			url: targetUrl,
+			index: mesh.userData.index,
+			scroll: window.scrollY,
+			preset,
+		};
+		history.replaceState({ ...history.state, flight }, '');
 	}
 
-	startTransition(sourcePlane, targetUrl, sourcePage, startPosition) {
+	handleNavigate({ trigger } = {}) {
+		const transition = this.activePageTransition;
+		if (transition?.launching) {
+			transition.launching = false;
+		} else if (transition) {
+			// Any other navigation — menu, text link, plain back/forward
+			this.abort('navigation');
+		}
+
+		if (isMobile() || trigger !== 'popstate') return;
+
+		// Popstate has already restored the destination entry
+		const flight = history.state?.flight;
+		if (!flight || flight.url !== this.location) return;
+
+		const view = this.canvas.currentPage?.view;
+		const hero = document.querySelector('[data-project-hero]');
+		const plane = hero && view?.planeByElement?.get(hero);
+		if (!plane) return;
+
+		// Flies back the way it came
+		this.startTransition(
+			view.toMesh(plane),
+			flight.url,
+			'project',
+			null,
+			flight.preset || resolveTransitionPreset(),
+		);
+		this.prepareShared(hero.closest('[data-taxi-view]'), hero);
+		this.activePageTransition.returnFlight = flight;
+		emitter.emit('webgl:transition:return', {
+			scroll: flight.scroll,
+		});
+	}
+
+	handleArrive() {
+		this.location = window.location.href;
+
+		const transition = this.activePageTransition;
+		if (!transition?.returnFlight) return;
+		if (transition.status !== 'waiting-for-target') return;
+
+		const target = this.findReturnTarget(transition.returnFlight);
+		if (!target) {
+			this.abort('missing-target');
+			emitter.emit('webgl:transition:handoff');
+			return;
+		}
+
+		// Hides its plane (DOMPlane) until this one has landed on it
+		target.setAttribute('data-gl-landing', '');
+		transition.landings.push(target);
+
+		const screen = {
+			width: window.innerWidth,
+			height: window.innerHeight,
+		};
+		const { camera } = this.canvas;
+		const fov = camera.fov * (Math.PI / 180);
+		const height = 2 * Math.tan(fov / 2) * camera.position.z;
+		const viewport = { width: height * camera.aspect, height };
+
+		this.handleTargetReady({
+			rect: target.getBoundingClientRect(),
+			viewport,
+			screen,
+			root: target.closest('a[href]'),
+		});
+	}
+
+	// The thumbnail linking to the flight's target, else the same index
+	findReturnTarget({ url, index }) {
+		const view = Array.from(
+			document.querySelectorAll('[data-taxi-view]'),
+		).pop();
+		if (!view) return null;
+
+		const link = Array.from(view.querySelectorAll('a[href]')).find(
+			(candidate) => candidate.href === url,
+		);
+		return (
+			link?.querySelector(PLANE_ELEMENTS) ||
+			view.querySelectorAll(PLANE_ELEMENTS)[index] ||
+			null
+		);
+	}
+
+	startTransition(
+		sourcePlane,
+		targetUrl,
+		sourcePage,
+		startPosition,
+		preset = resolveTransitionPreset(),
+	) {
 		if (!sourcePlane) return;
 
+		this.transitionMesh = this.cloneMesh(sourcePlane, preset);
+
+		if (
+			startPosition &&
+			typeof startPosition.x === 'number' &&
+			!isNaN(startPosition.x) &&
+			typeof startPosition.y === 'number' &&
+			!isNaN(startPosition.y)
+		) {
+			this.transitionMesh.position.x = startPosition.x;
+			this.transitionMesh.position.y = startPosition.y;
+		}
+
+		this.activePageTransition = {
+			status: 'waiting-for-target',
+			mesh: this.transitionMesh,
+			sourcePlane,
+			targetUrl,
+			sourcePage,
+			preset,
+			launching: false, // set by prepare until its transition:start
+			playback: this.readPlayback(sourcePlane),
+			landings: [],
+			startTime: Date.now(),
+		};
+
+		this.timeline = RenderScheduler.track(gsap.timeline());
+
+		this.resetUniforms(this.transitionMesh.material.uniforms);
+	}
+
+	/**
+	 * Clone a source plane for a flight — own geometry and material
+	 * (deep-copied uniforms), added to the scene. TextureCache's
+	 * textures are shared and held, others copied; disposeMesh() undoes
+	 * both. The source is hidden until cleanup().
+	 */
+	cloneMesh(sourcePlane, preset) {
 		// Clone material with deep-copied uniforms
 		const clonedMaterial = sourcePlane.material.clone();
 		clonedMaterial.transparent = true;
@@ -75,6 +317,21 @@ export class TransitionController {
 			sourcePlane.material.uniforms.uOpacity.value = 1;
 		}
 
+		// Held, not cloned — the cache only knows its own instances, and
+		// the source view may be destroyed mid-flight
+		const heldTextures = new Set();
+		// Source texture → the flight's copy (uTexture / uPlaceholder
+		// may share one)
+		const copies = new Map();
+		const flightTexture = (texture) => {
+			if (TextureCache.has(texture)) {
+				heldTextures.add(texture);
+				return texture;
+			}
+			if (!copies.has(texture)) copies.set(texture, texture.clone());
+			return copies.get(texture);
+		};
+
 		if (sourcePlane.material.uniforms) {
 			Object.keys(sourcePlane.material.uniforms).forEach((key) => {
 				if (clonedMaterial.uniforms[key]) {
@@ -83,6 +340,9 @@ export class TransitionController {
 
 					if (Array.isArray(sourceValue)) {
 						clonedMaterial.uniforms[key].value = [...sourceValue];
+					} else if (sourceValue?.isTexture) {
+						clonedMaterial.uniforms[key].value =
+							flightTexture(sourceValue);
 					} else if (
 						sourceValue &&
 						typeof sourceValue === 'object' &&
@@ -104,42 +364,59 @@ export class TransitionController {
 			clonedMaterial.uniforms.uOpacity.value = 1;
 		}
 
-		this.transitionMesh = new Mesh(
-			sourcePlane.geometry.clone(),
-			clonedMaterial,
-		);
-
-		this.transitionMesh.position.copy(sourcePlane.position);
-		this.transitionMesh.scale.set(1, 1, 1);
-		this.transitionMesh.rotation.copy(sourcePlane.rotation);
+		// Before the clone's first render — later uniforms need a recompile
+		clonedMaterial.uniforms.uPageTransitionMode = {
+			value: preset.mode,
+		};
 
-		if (
-			startPosition &&
-			typeof startPosition.x === 'number' &&
-			!isNaN(startPosition.x) &&
-			typeof startPosition.y === 'number' &&
-			!isNaN(startPosition.y)
-		) {
-			this.transitionMesh.position.x = startPosition.x;
-			this.transitionMesh.position.y = startPosition.y;
+		// The source texture's live rect, not a copy — the atlas page
+		// may repack mid-flight and moves it in place
+		if (clonedMaterial.uniforms.uAtlasRect) {
+			clonedMaterial.uniforms.uAtlasRect.value = getAtlasRect(
+				sourcePlane.material.uniforms.uTexture?.value,
+			);
 		}
 
-		this.transitionMesh.userData = { ...sourcePlane.userData };
-		this.canvas.scene.add(this.transitionMesh);
-		this.transitionMesh.visible = true;
-		sourcePlane.visible = false;
+		// An instanced plane's toMesh() copy is already the flight's own
+		const geometry = isProxyMesh(sourcePlane)
+			? sourcePlane.geometry
+			: sourcePlane.geometry.clone();
+		const mesh = new Mesh(geometry, clonedMaterial);
 
-		this.activePageTransition = {
-			status: 'waiting-for-target',
-			mesh: this.transitionMesh,
-			sourcePlane,
-			targetUrl,
-			sourcePage,
-			startTime: Date.now(),
+		mesh.position.copy(sourcePlane.position);
+		mesh.scale.set(1, 1, 1);
+		mesh.rotation.copy(sourcePlane.rotation);
+
+		heldTextures.forEach((texture) => TextureCache.acquire(texture));
+
+		mesh.userData = {
+			...sourcePlane.userData,
+			heldTextures,
+			ownTextures: [...copies.values()],
 		};
+		this.canvas.scene.add(mesh);
+		mesh.visible = true;
+		// Flag so DOMPlane culling doesn't re-show it mid-flight
+		sourcePlane.userData.flying = true;
+		sourcePlane.visible = false;
+
+		return mesh;
+	}
+
+	// Where a video plane's element is at take-off, null for images
+	readPlayback({ userData }) {
+		const { video } = userData;
+		if (!video) return null;
 
-		this.timeline = gsap.timeline();
+		return {
+			time: video.currentTime,
+			duration: video.duration,
+			playing: !video.paused,
+			at: performance.now(),
+		};
+	}
 
+	resetUniforms(uniforms) {
 		/* ====================================================
 		 *
 		 *
@@ -149,8 +426,6 @@ export class TransitionController {
 		 *
 		 *
 		 * ==================================================== */
-		const uniforms = this.transitionMesh.material.uniforms;
-
 		if (uniforms.uHover) {
 			gsap.killTweensOf(uniforms.uHover);
 			this.timeline.to(
@@ -201,43 +476,155 @@ export class TransitionController {
 		}
 	}
 
-	async animateToDOM(targetRect, viewport, screen) {
-		if (!this.transitionMesh || !targetRect) return;
+	/**
+	 * Shared elements in `root` besides the plane's own (`primary`):
+	 * mapped ones clone their plane, the others their DOM node.
+	 */
+	prepareShared(root, primary) {
+		if (!root) return;
+		const view = this.canvas.currentPage?.view;
+		const { preset } = this.activePageTransition;
 
-		const targetWidth =
-			(targetRect.width / screen.width) * viewport.width;
-		const targetHeight =
-			(targetRect.height / screen.height) * viewport.height;
-		const targetX =
-			((targetRect.left + targetRect.width / 2) / screen.width) *
-				viewport.width -
-			viewport.width / 2;
-		const targetY =
-			viewport.height / 2 -
-			((targetRect.top + targetRect.height / 2) / screen.height) *
-				viewport.height;
+		root.querySelectorAll('[data-shared-id]').forEach((el) => {
+			if (el === primary || (primary && el.contains(primary))) return;
+
+			const id = el.dataset.sharedId;
+			const plane = view?.planeByElement?.get(
+				this.findPlaneElement(el),
+			);
+			if (plane && !plane.userData.flying) {
+				const mesh = this.cloneMesh(view.toMesh(plane), preset);
+				this.resetUniforms(mesh.material.uniforms);
+				this.shared.push({ id, mesh, sourcePlane: plane });
+				return;
+			}
 
-		this.timeline = gsap.timeline({
-			onComplete: () => this.cleanup(),
+			this.shared.push({ id, ...this.cloneElement(el) });
 		});
+	}
 
-		/* ====================================================
-		 *
-		 *
-		 *  POSITION — fly mesh to target DOM coordinates
-		 *
-		 *
-		 * ==================================================== */
-		this.timeline.to(
-			this.transitionMesh.position,
-			{
-				x: targetX,
-				y: targetY,
-				z: 0,
-				duration: 1.25,
-				ease: 'expo.inOut',
-			},
-			0,
+	// The element a plane maps — `el` itself or a [data-gl-img] inside
+	findPlaneElement(el) {
+		const selector = '[data-gl-img], [data-gl-video]';
+		return el.matches(selector) ? el : el.querySelector(selector);
+	}
+
+	// Fixed copy of `el` on top of it, for the length of the flight
+	cloneElement(el) {
+		const rect = el.getBoundingClientRect();
+		const style = getComputedStyle(el);
+		const clone = el.cloneNode(true);
+
+		clone.removeAttribute('data-shared-id');
+		SHARED_STYLES.forEach((property) => {
+			clone.style[property] = style[property];
+		});
+		Object.assign(clone.style, {
+			position: 'fixed',
+			left: `${rect.left}px`,
+			top: `${rect.top}px`,
+			width: `${rect.width}px`,
+			margin: '0',
+			transformOrigin: '0 0',
+			pointerEvents: 'none',
+			zIndex: '100',
+		});
+		document.body.appendChild(clone);
+
+		return { clone, rect, fontSize: parseFloat(style.fontSize) };
+	}
+
+	/**
+	 * Send the shared elements to their counterparts in `root`, on the
+	 * flight's timeline. Unmatched ones fade out where they are.
+	 */
+	flyShared(root, viewport, screen, preset) {
+		const { duration, ease } = preset;
+
+		this.shared.forEach(({ id, mesh, clone, rect, fontSize }) => {
+			const target = root?.querySelector(
+				`[data-shared-id="${CSS.escape(id)}"]`,
+			);
+
+			if (mesh) {
+				const el =
+					target && (this.findPlaneElement(target) || target);
+				if (!el) {
+					this.timeline.to(
+						mesh.material.uniforms.uOpacity,
+						{ value: 0, duration: FADE.duration, ease: FADE.ease },
+						0,
+					);
+					return;
+				}
+
+				// Its own plane in the target page stays hidden until landing
+				el.setAttribute('data-gl-landing', '');
+				this.activePageTransition.landings.push(el);
+				this.flyMesh(
+					mesh,
+					el.getBoundingClientRect(),
+					viewport,
+					screen,
+					preset,
+				);
+				return;
+			}
+
+			if (!target) {
+				this.timeline.to(
+					clone,
+					{ opacity: 0, duration: FADE.duration, ease: FADE.ease },
+					0,
+				);
+				return;
+			}
+
+			// Flip — First is the clone's rect, Last the target's
+			const last = target.getBoundingClientRect();
+			const style = getComputedStyle(target);
+			this.timeline.to(
+				clone,
+				{
+					x: last.left - rect.left,
+					y: last.top - rect.top,
+					scale:
+						parseFloat(style.fontSize) / fontSize ||
+						last.height / rect.height,
+					color: style.color,
+					duration,
+					ease,
+				},
+				0,
+			);
+			this.timeline.to(
+				clone,
+				{ opacity: 0, duration: FADE.duration, ease: FADE.ease },
+				preset.fade,
+			);
+		});
+	}
+
+	async animateToDOM(
+		targetRect,
+		viewport,
+		screen,
+		preset = resolveTransitionPreset(),
+	) {
+		if (!this.transitionMesh || !targetRect) return;
+
+		this.timeline = RenderScheduler.track(
+			gsap.timeline({
+				onComplete: () => this.cleanup(),
+			}),
+		);
+
+		this.flightTweens = this.flyMesh(
+			this.transitionMesh,
+			targetRect,
+			viewport,
+			screen,
+			preset,
 		);
 
 		/* ====================================================
@@ -247,10 +634,43 @@ export class TransitionController {
 		 *
 		 *
 		 * ==================================================== */
-		this.timeline.call(
-			() => emitter.emit('webgl:transition:handoff'),
-			null,
-			1.3,
+		this.timeline.call(() => this.handoff(), null, preset.handoff);
+
+		this.upgradeTexture(targetRect.width);
+	}
+
+	// A video landing on the player passes on its playback position
+	handoff() {
+		const transition = this.activePageTransition;
+		if (!transition?.landsOnPlayer) {
+			emitter.emit('webgl:transition:handoff');
+			return;
+		}
+
+		const { time, duration, playing, at } = transition.playback;
+		let currentTime = playing
+			? time + (performance.now() - at) / 1000
+			: time;
+		// Cards loop — wrap like the element would have
+		if (duration > 0 && isFinite(duration)) currentTime %= duration;
+
+		emitter.emit('webgl:transition:handoff', {
+			video: { currentTime, playing },
+		});
+	}
+
+	/**
+	 * One plane's flight on the timeline — position, size, cover scale
+	 * and shader effect towards `targetRect`, then the fade.
+	 * @returns {gsap.core.Tween[]} the moveMesh() tweens
+	 */
+	flyMesh(mesh, targetRect, viewport, screen, preset) {
+		const tweens = this.moveMesh(
+			mesh,
+			targetRect,
+			viewport,
+			screen,
+			preset,
 		);
 
 		/* ====================================================
@@ -260,20 +680,89 @@ export class TransitionController {
 		 *
 		 *
 		 * ==================================================== */
-		if (this.transitionMesh.material.uniforms.uOpacity) {
+		if (mesh.material.uniforms.uOpacity) {
 			this.timeline.to(
-				this.transitionMesh.material.uniforms.uOpacity,
+				mesh.material.uniforms.uOpacity,
 				{ value: 0, duration: FADE.duration, ease: FADE.ease },
-				1.5,
+				preset.fade,
 			);
 		} else {
 			this.timeline.to(
-				this.transitionMesh.material,
+				mesh.material,
 				{ opacity: 0, duration: FADE.duration, ease: FADE.ease },
-				1.5,
+				preset.fade,
 			);
 		}
 
+		/* ====================================================
+		 *
+		 *
+		 *  SHADER — sine wave distortion during flight
+		 *
+		 *
+		 * ==================================================== */
+		if (mesh.material.uniforms.uPageTransition === undefined) {
+			mesh.material.uniforms.uPageTransition = {
+				value: 0,
+			};
+		} else {
+			mesh.material.uniforms.uPageTransition.value = 0;
+		}
+
+		this.timeline.to(
+			mesh.material.uniforms.uPageTransition,
+			{ value: 1, duration: preset.duration, ease: 'power1.inOut' },
+			0,
+		);
+
+		return tweens;
+	}
+
+	/**
+	 * Position, size and cover scale towards `targetRect`, from wherever
+	 * the mesh is, starting at `at` on the timeline.
+	 * @returns {gsap.core.Tween[]} for retarget() to replace
+	 */
+	moveMesh(
+		mesh,
+		targetRect,
+		viewport,
+		screen,
+		{ duration, ease },
+		at = 0,
+	) {
+		const targetWidth =
+			(targetRect.width / screen.width) * viewport.width;
+		const targetHeight =
+			(targetRect.height / screen.height) * viewport.height;
+		const targetX =
+			((targetRect.left + targetRect.width / 2) / screen.width) *
+				viewport.width -
+			viewport.width / 2;
+		const targetY =
+			viewport.height / 2 -
+			((targetRect.top + targetRect.height / 2) / screen.height) *
+				viewport.height;
+
+		/* ====================================================
+		 *
+		 *
+		 *  POSITION — fly mesh to target DOM coordinates
+		 *
+		 *
+		 * ==================================================== */
+		const position = this.timeline.to(
+			mesh.position,
+			{
+				x: targetX,
+				y: targetY,
+				z: 0,
+				duration,
+				ease,
+			},
+			at,
+		);
+
 		/* ====================================================
 		 *
 		 *
@@ -281,108 +770,145 @@ export class TransitionController {
 		 *
 		 *
 		 * ==================================================== */
-		const baseWidth = this.transitionMesh.geometry.parameters.width;
-		const baseHeight = this.transitionMesh.geometry.parameters.height;
+		const baseWidth = mesh.geometry.parameters.width;
+		const baseHeight = mesh.geometry.parameters.height;
 
 		const sizeProxy = {
-			width: baseWidth * this.transitionMesh.scale.x,
-			height: baseHeight * this.transitionMesh.scale.y,
+			width: baseWidth * mesh.scale.x,
+			height: baseHeight * mesh.scale.y,
 			progress: 0,
 		};
 
-		this.timeline.to(
+		const size = this.timeline.to(
 			sizeProxy,
 			{
 				width: targetWidth,
 				height: targetHeight,
 				progress: 1,
-				duration: 1.25,
-				ease: 'expo.inOut',
+				duration,
+				ease,
 				onUpdate: () => {
-					this.transitionMesh.scale.set(
+					mesh.scale.set(
 						sizeProxy.width / baseWidth,
 						sizeProxy.height / baseHeight,
 						1,
 					);
 				},
 			},
-			0,
+			at,
 		);
 
 		/* ====================================================
 		 *
 		 *
-		 *  SHADER — sine wave distortion during flight
+		 *  UV COVER — animate uCoverScale source → target
 		 *
 		 *
 		 * ==================================================== */
-		if (
-			this.transitionMesh.material.uniforms.uPageTransition ===
-			undefined
-		) {
-			this.transitionMesh.material.uniforms.uPageTransition = {
-				value: 0,
-			};
-		} else {
-			this.transitionMesh.material.uniforms.uPageTransition.value = 0;
+		const uniforms = mesh.material.uniforms;
+		if (!uniforms.uCoverScale || !uniforms.uTexture?.value) {
+			return [position, size];
 		}
 
-		this.timeline.to(
-			this.transitionMesh.material.uniforms.uPageTransition,
-			{ value: 1, duration: 1.25, ease: 'power1.inOut' },
-			0,
+		const targetCoverScale = getCoverScale(
+			getTextureAspect(uniforms.uTexture.value),
+			targetWidth / targetHeight,
 		);
 
-		/* ====================================================
-		 *
-		 *
-		 *  UV COVER — animate uCoverScale source → target
-		 *
-		 *
-		 * ==================================================== */
-		const uniforms = this.transitionMesh.material.uniforms;
-		if (uniforms.uCoverScale && this.transitionMesh.userData.img) {
-			const img = this.transitionMesh.userData.img;
-			const imgAspect = img.naturalWidth / img.naturalHeight;
-			const targetAspect = targetWidth / targetHeight;
+		const sourceCoverScale = [...uniforms.uCoverScale.value];
 
-			const targetCoverScale =
-				imgAspect > targetAspect
-					? [targetAspect / imgAspect, 1.0]
-					: [1.0, imgAspect / targetAspect];
+		const coverProxy = { t: 0 };
+		const cover = this.timeline.to(
+			coverProxy,
+			{
+				t: 1,
+				duration,
+				ease,
+				onUpdate: () => {
+					uniforms.uCoverScale.value[0] =
+						sourceCoverScale[0] +
+						(targetCoverScale[0] - sourceCoverScale[0]) *
+							coverProxy.t;
+					uniforms.uCoverScale.value[1] =
+						sourceCoverScale[1] +
+						(targetCoverScale[1] - sourceCoverScale[1]) *
+							coverProxy.t;
+				},
+			},
+			at,
+		);
 
-			const sourceCoverScale = [...uniforms.uCoverScale.value];
+		return [position, size, cover];
+	}
 
-			const coverProxy = { t: 0 };
-			this.timeline.to(
-				coverProxy,
-				{
-					t: 1,
-					duration: 1.25,
-					ease: 'expo.inOut',
-					onUpdate: () => {
-						uniforms.uCoverScale.value[0] =
-							sourceCoverScale[0] +
-							(targetCoverScale[0] - sourceCoverScale[0]) *
-								coverProxy.t;
-						uniforms.uCoverScale.value[1] =
-							sourceCoverScale[1] +
-							(targetCoverScale[1] - sourceCoverScale[1]) *
-								coverProxy.t;
-					},
-				},
-				0,
-			);
-		}
+	/**
+	 * Flying into a bigger rect (e.g. a full-bleed hero) — load the
+	 * srcset candidate for the target width and swap it in mid-flight.
+	 * Held with the flight's other textures until it's disposed.
+	 */
+	upgradeTexture(displayWidth) {
+		const mesh = this.transitionMesh;
+		const { img, source, video } = mesh.userData;
+		if (!img || video) return;
+
+		const next = TextureCache.pickUpgrade(
+			TextureCache.sourceElement(img),
+			source,
+			displayWidth,
+		);
+		if (!next) return;
+
+		TextureCache.load(next.src)
+			.then((texture) => {
+				// Flight already cleaned up
+				if (this.transitionMesh !== mesh) return;
+
+				const { uniforms } = mesh.material;
+				const { heldTextures } = mesh.userData;
+				if (!heldTextures.has(texture)) {
+					TextureCache.acquire(texture);
+					heldTextures.add(texture);
+				}
+				uniforms.uTexture.value = texture;
+				if (uniforms.uAtlasRect) {
+					uniforms.uAtlasRect.value = getAtlasRect(texture);
+				}
+				mesh.userData.source = next;
+			})
+			.catch(() => {});
 	}
 
-	handleTargetReady({ rect, viewport, screen }) {
-		if (!this.activePageTransition) return;
-		if (this.activePageTransition.status !== 'waiting-for-target')
+	handleTargetReady({
+		rect,
+		viewport,
+		screen,
+		root = Array.from(
+			document.querySelectorAll('[data-taxi-view]'),
+		).pop(),
+		videoRect = null,
+	}) {
+		const transition = this.activePageTransition;
+		if (!transition) return;
+		if (transition.status === 'animating') {
+			this.retarget(
+				transition.landsOnPlayer ? videoRect || rect : rect,
+				viewport,
+				screen,
+			);
 			return;
+		}
+		if (transition.status !== 'waiting-for-target') return;
 
-		this.activePageTransition.status = 'animating';
-		this.animateToDOM(rect, viewport, screen);
+		transition.status = 'animating';
+		// Video planes land on the main player, when the page has one
+		transition.landsOnPlayer = !!(transition.playback && videoRect);
+		this.animateToDOM(
+			transition.landsOnPlayer ? videoRect : rect,
+			viewport,
+			screen,
+			transition.preset,
+		);
+		this.flyShared(root, viewport, screen, transition.preset);
 
 		if (this.timeline) {
 			this.timeline.eventCallback('onComplete', () => {
@@ -391,40 +917,214 @@ export class TransitionController {
 				}
 				this.cleanup();
 				this.activePageTransition = null;
+				emitter.emit('webgl:transition:complete');
 			});
 		}
 	}
 
-	hasActiveTransition() {
-		return this.activePageTransition !== null;
+	/**
+	 * New rect mid-flight — the plane heads there from where it is,
+	 * over what's left of the flight. Handoff and fade keep their time.
+	 */
+	retarget(rect, viewport, screen) {
+		const { preset } = this.activePageTransition;
+		const at = this.timeline.time();
+
+		this.flightTweens.forEach((tween) => tween.kill());
+		this.flightTweens = this.moveMesh(
+			this.transitionMesh,
+			rect,
+			viewport,
+			screen,
+			{
+				duration: Math.max(preset.duration - at, RETARGET_DURATION),
+				ease: 'power2.out',
+			},
+			at,
+		);
+
+		emitter.emit('webgl:transition:retarget', { rect });
 	}
 
-	cancelPageTransition() {
-		if (this.activePageTransition) {
-			this.cleanup();
-			this.activePageTransition = null;
+	/**
+	 * A navigation from the image that's flying — or the one it's
+	 * landing on. The clone stays: it stops where it is and waits for
+	 * the new page's target-ready. Shared elements fade out.
+	 * @returns {boolean} false if `sourcePlane` is another image
+	 */
+	adopt(sourcePlane, targetUrl, preset) {
+		const transition = this.activePageTransition;
+		const { uniforms } = this.transitionMesh.material;
+		const texture = sourcePlane.material.uniforms?.uTexture?.value;
+		const same =
+			sourcePlane.userData.img ===
+				transition.sourcePlane.userData.img ||
+			(texture && texture === uniforms.uTexture?.value);
+		if (!same) return false;
+
+		this.timeline?.kill();
+		this.timeline = RenderScheduler.track(gsap.timeline());
+		this.flightTweens = [];
+		this.retireShared();
+		this.releaseLandings();
+
+		// Back to full opacity if the fade had started
+		if (uniforms.uOpacity) {
+			this.timeline.to(
+				uniforms.uOpacity,
+				{ value: 1, duration: FADE.duration, ease: 'sine.out' },
+				0,
+			);
 		}
+		uniforms.uPageTransitionMode.value = preset.mode;
+
+		this.showPlane(transition.sourcePlane);
+		sourcePlane.userData.flying = true;
+		sourcePlane.visible = false;
+
+		Object.assign(transition, {
+			status: 'waiting-for-target',
+			sourcePlane,
+			targetUrl,
+			preset,
+			returnFlight: null,
+		});
+
+		emitter.emit('webgl:transition:retarget', { targetUrl });
+		return true;
+	}
+
+	/**
+	 * Let the flight go: everything it hid comes back and its meshes /
+	 * clones fade out where they are.
+	 * @param {string} reason - 'navigation' | 'missing-target'
+	 */
+	abort(reason) {
+		const transition = this.activePageTransition;
+		if (!transition) return;
+
+		this.timeline?.kill();
+		this.timeline = null;
+		this.flightTweens = [];
+
+		this.retire([this.transitionMesh], []);
+		this.transitionMesh = null;
+		this.showPlane(transition.sourcePlane);
+		this.retireShared();
+		this.releaseLandings();
+		this.activePageTransition = null;
+
+		emitter.emit('webgl:transition:abort', {
+			reason,
+			targetUrl: transition.targetUrl,
+		});
+	}
+
+	// Fade meshes / DOM clones out, then dispose of them
+	retire(meshes, clones) {
+		const timeline = RenderScheduler.track(
+			gsap.timeline({
+				onComplete: () => {
+					meshes.forEach((mesh) => this.disposeMesh(mesh));
+					clones.forEach((clone) => clone.remove());
+				},
+			}),
+		);
+
+		meshes.forEach((mesh) => {
+			timeline.to(
+				mesh.material.uniforms.uOpacity || mesh.material,
+				{
+					[mesh.material.uniforms.uOpacity ? 'value' : 'opacity']: 0,
+					duration: FADE.duration,
+					ease: FADE.ease,
+				},
+				0,
+			);
+		});
+		clones.forEach((clone) => {
+			timeline.to(
+				clone,
+				{ opacity: 0, duration: FADE.duration, ease: FADE.ease },
+				0,
+			);
+		});
+	}
+
+	// Shared elements fade out, their source planes come back
+	retireShared() {
+		const meshes = [];
+		const clones = [];
+		this.shared.forEach(({ mesh, sourcePlane, clone }) => {
+			if (clone) clones.push(clone);
+			if (!mesh) return;
+			meshes.push(mesh);
+			this.showPlane(sourcePlane);
+		});
+		this.shared = [];
+		this.retire(meshes, clones);
+	}
+
+	// Target planes hidden for landing (data-gl-landing) come back
+	releaseLandings() {
+		const transition = this.activePageTransition;
+		if (!transition) return;
+
+		const view = this.canvas.currentPage?.view;
+		transition.landings.forEach((landing) => {
+			landing.removeAttribute('data-gl-landing');
+			const plane = view?.planeByElement?.get(landing);
+			if (plane) this.showPlane(plane);
+		});
+		transition.landings = [];
+	}
+
+	showPlane(plane) {
+		if (!plane) return;
+		plane.userData.flying = false;
+		plane.visible = plane.userData.inView !== false;
+	}
+
+	// Geometry included — a toMesh() proxy's is the flight's (cloneMesh)
+	disposeMesh(mesh) {
+		const { heldTextures, ownTextures } = mesh.userData;
+		heldTextures?.forEach((texture) => TextureCache.release(texture));
+		ownTextures?.forEach((texture) => texture.dispose());
+		this.canvas.scene.remove(mesh);
+		mesh.geometry.dispose();
+		mesh.material.dispose();
+	}
+
+	hasActiveTransition() {
+		return this.activePageTransition !== null;
 	}
 
 	cleanup() {
+		RenderScheduler.invalidate();
+
 		if (this.transitionMesh) {
-			this.canvas.scene.remove(this.transitionMesh);
-			this.transitionMesh.geometry.dispose();
-			this.transitionMesh.material.dispose();
+			this.disposeMesh(this.transitionMesh);
 			this.transitionMesh = null;
 		}
 
-		if (
-			this.activePageTransition &&
-			this.activePageTransition.sourcePlane
-		) {
-			this.activePageTransition.sourcePlane.visible = true;
-		}
+		this.showPlane(this.activePageTransition?.sourcePlane);
+
+		this.shared.forEach(({ mesh, sourcePlane, clone }) => {
+			clone?.remove();
+			if (!mesh) return;
+
+			this.disposeMesh(mesh);
+			this.showPlane(sourcePlane);
+		});
+		this.shared = [];
+
+		this.releaseLandings();
 
 		if (this.timeline) {
 			this.timeline.kill();
 			this.timeline = null;
 		}
+		this.flightTweens = [];
 	}
 
 	cancel() {
@@ -2,6 +2,7 @@ import { Page } from '../Page';
 import emitter from '@utils/Emitter';
 import SmoothScroll from '@utils/SmoothScroll';
 import WebGLConfig from '../utils/WebGLConfig';
+import RenderScheduler from '../utils/RenderScheduler';
 import { WorkView } from './WorkView';
 
 export class Work extends Page {
@@ -9,7 +10,6 @@ export class Work extends Page {
 		super(options);
 		this.view = null;
 		this.smoothedStrength = 0;
-		this._leaveTimer = null;
 		this.calculateViewport();
 	}
 
@@ -49,35 +49,23 @@ export class Work extends Page {
 		});
 	}
 
-	onEnter(data) {
-		if (this._leaveTimer) {
-			clearTimeout(this._leaveTimer);
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.view = null;
-			this.created = false;
-			this.create(data);
-		}
-		super.onEnter(data);
+	destroyViews() {
+		this.view?.destroy?.();
+		this.view = null;
+		this.created = false;
 	}
 
-	transitionIn(onComplete) {
+	async transitionIn() {
 		emitter.emit('work:enter-ready');
-		if (onComplete) onComplete();
 	}
 
-	transitionOut(onComplete) {
+	async transitionOut(signal) {
 		if (this.view) {
 			this.view.hide();
 		}
 
-		this._leaveTimer = setTimeout(() => {
-			this._leaveTimer = null;
-			this.view?.destroy?.();
-			this.view = null;
-			this.created = false;
-			if (onComplete) onComplete();
-		}, 1400);
+		await this.wait(1400, signal);
+		this.destroyViews();
 	}
 
 	onResize() {
@@ -94,6 +82,12 @@ export class Work extends Page {
 				lenis.velocity * 0.005 * WebGLConfig.get().scrollStrength;
 			this.smoothedStrength +=
 				(targetStrength - this.smoothedStrength) * 0.1;
+			// Snap to rest so the scheduler can go idle once scroll settles
+			if (Math.abs(this.smoothedStrength) < 0.0001) {
+				this.smoothedStrength = 0;
+			} else {
+				RenderScheduler.invalidate();
+			}
 			this.view.setStrength(this.smoothedStrength);
 
 			const maxScroll =
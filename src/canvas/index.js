@@ -6,8 +6,24 @@ import {
 } from 'three';
 
 import Time from './utils/Time';
+import RenderScheduler from './utils/RenderScheduler';
+import WebGLConfig from './utils/WebGLConfig';
+import TextureCache from './utils/TextureCache';
+import ConfigPanel from './utils/ConfigPanel';
+import { PostProcessing } from './post';
 import { TransitionController } from './TransitionController';
 import emitter from '@utils/Emitter';
+import SmoothScroll from '@utils/SmoothScroll';
+import Router from '@utils/Router';
+
+// Ticks of rendering kept alive after transition:complete, so page
+// entrance choreography that moves mapped DOM (Flip, hero scatter)
+// is still followed by the planes once the transition hold drops.
+const ENTER_GRACE_FRAMES = 180;
+
+// Input that can start motion the pages pick up on the next tick
+// (slider drags, wheel on smooothy, keyboard scroll)
+const WAKE_EVENTS = ['wheel', 'pointerdown', 'touchstart', 'keydown'];
 
 /**
  * Canvas — the WebGL renderer and page lifecycle manager.
@@ -16,7 +32,26 @@ import emitter from '@utils/Emitter';
  *   import { Home } from './Home';
  *   const canvas = new Canvas({ home: Home });
  *
- * Each key maps to a URL pattern detected by detectPageName().
+ * Keys are route names from the shared route table (utils/Router);
+ * detectRoute() resolves the current one, and its params reach the
+ * page through onEnter().
+ *
+ * Page lifecycle hooks return promises and take an AbortSignal, one
+ * per onChange(). The old page's leave runs alongside the new page's
+ * enter and onChange() settles once both have. A newer onChange()
+ * aborts the previous signal: a superseded enter stops where it is and
+ * every leave still running tears down at once. A page still leaving
+ * finishes its teardown before it is entered again.
+ *
+ * Rendering is on demand: update() skips page updates and the draw call
+ * unless RenderScheduler has been marked dirty (see utils/RenderScheduler).
+ * Frames go through `this.post` (post/PostProcessing) — a plain
+ * renderer.render() until a page adds an enabled pass.
+ *
+ * WebGL context loss pauses the Time loop. On restore, cached textures
+ * are re-uploaded, the current page rebuilds its views
+ * (Page.restoreContext) and `webgl:context:lost` / `webgl:context:restored`
+ * are emitted for pages that own custom GPU resources.
  */
 export default class Canvas {
 	constructor(registry = {}) {
@@ -30,6 +65,8 @@ export default class Canvas {
 		this.registry = registry;
 		this.pages = {};
 		this.currentPage = null;
+		this.leaves = new Map(); // page → promise while its leave runs
+		this.changeController = null;
 
 		this.createRenderer();
 		this.createCamera();
@@ -37,6 +74,10 @@ export default class Canvas {
 
 		this.transitionController = new TransitionController(this);
 
+		if (ConfigPanel.isEnabled()) {
+			this.configPanel = new ConfigPanel({ scene: this.scene });
+		}
+
 		this.addEventListeners();
 		this.time.on('tick', () => this.update());
 
@@ -44,10 +85,13 @@ export default class Canvas {
 			this.currentPage?.view?.fadeOut();
 			this.currentPage?.trailView?.fadeOutTrail();
 			this.isTransitioning = true;
+			RenderScheduler.hold('transition');
 		});
 
 		emitter.on('transition:complete', () => {
 			this.isTransitioning = false;
+			RenderScheduler.release('transition');
+			RenderScheduler.invalidate(ENTER_GRACE_FRAMES);
 		});
 
 		this.initCurrentPage();
@@ -56,17 +100,18 @@ export default class Canvas {
 	}
 
 	initCurrentPage() {
-		const pageName = this.detectPageName();
-		if (pageName) {
-			this.onChange(pageName);
+		const route = this.detectRoute();
+		if (route) {
+			this.onChange(route.name, undefined, route);
 		}
 	}
 
 	/**
-	 * Detect current page from URL or data attributes.
-	 * Override or extend this for custom routing logic.
+	 * Route of the current page (`data-page`, else the URL), or null
+	 * when no WebGL page is registered for it.
+	 * @returns {{ name: string, pattern: string|null, params: Object }|null}
 	 */
-	detectPageName(el = document) {
+	detectRoute(el = document) {
 		// Query from the latest [data-taxi-view] to handle Taxi navigation
 		// (body attributes persist across navigations, only view content swaps)
 		const view =
@@ -76,24 +121,8 @@ export default class Canvas {
 					).pop() || document
 				: el;
 
-		const pageAttr =
-			view === document
-				? document.body.dataset.page ||
-					document.querySelector('[data-page]')?.dataset.page
-				: view.dataset?.page ||
-					view.querySelector('[data-page]')?.dataset.page;
-
-		if (pageAttr && this.registry[pageAttr]) return pageAttr;
-
-		// Fallback to URL
-		const path = window.location.pathname;
-		for (const key of Object.keys(this.registry || {})) {
-			if (path === '/' && (key === 'home' || key === 'index'))
-				return key;
-			if (path.includes(key)) return key;
-		}
-
-		return null;
+		const route = Router.resolve(window.location.pathname, view);
+		return route && this.registry[route.name] ? route : null;
 	}
 
 	createRenderer() {
@@ -109,6 +138,8 @@ export default class Canvas {
 		this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 		this.renderer.setClearColor(0x000000, 0);
 		this.renderer.outputColorSpace = SRGBColorSpace;
+		TextureCache.setRenderer(this.renderer);
+		this.post = new PostProcessing({ renderer: this.renderer });
 
 		this.container.appendChild(this.renderer.domElement);
 	}
@@ -127,21 +158,29 @@ export default class Canvas {
 		this.scene = new Scene();
 	}
 
-	async onChange(pageName, template) {
-		if (!pageName) {
-			if (this.currentPage) {
-				this.currentPage.onLeave?.(template);
-				this.currentPage = null;
-			}
-			return;
-		}
-
-		const Cls = this.registry[pageName];
+	/**
+	 * Switch to a registered page.
+	 * @param {string|null} pageName - null leaves the current page
+	 * @param {Document|HTMLElement} [template]
+	 * @param {{ params: Object }} [route] - passed on to onEnter()
+	 */
+	async onChange(pageName, template, route) {
+		// Supersedes the previous change — its enter and leave included
+		this.changeController?.abort();
+		const controller = new AbortController();
+		this.changeController = controller;
+		const { signal } = controller;
+
+		RenderScheduler.invalidate();
+		// Pick up the new view's [data-webgl-config] before planes exist
+		WebGLConfig.refresh();
+		this.configPanel?.sync();
+
+		const Cls = pageName && this.registry[pageName];
 		if (!Cls) {
-			if (this.currentPage) {
-				this.currentPage.onLeave?.(template);
-				this.currentPage = null;
-			}
+			const prev = this.currentPage;
+			this.currentPage = null;
+			if (prev) await this.leave(prev, template, signal);
 			return;
 		}
 
@@ -153,22 +192,58 @@ export default class Canvas {
 				camera: this.camera,
 				renderer: this.renderer,
 				time: this.time,
+				post: this.post,
 			});
 		}
 
 		const next = this.pages[pageName];
 
-		if (prev) {
-			prev.onLeave?.(template);
+		let left = null;
+		if (prev === next) {
+			// Same page, new content (project → project) — tear down now
+			await this.leave(prev, template, AbortSignal.abort());
+		} else if (prev) {
+			left = this.leave(prev, template, signal);
 		}
 
+		// Back on a page still leaving — aborted with its navigation,
+		// it finishes tearing down first
+		await this.leaves.get(next);
+		if (signal.aborted) return;
+
 		if (!next.created) {
 			if (next.load) await next.load();
+			if (signal.aborted) return;
 			next.create(template);
 		}
 
 		this.currentPage = next;
-		next.onEnter?.(template);
+		await Promise.all([
+			left,
+			next.onEnter?.(template, route, signal),
+		]);
+	}
+
+	/**
+	 * Run a page's leave, tracked in `this.leaves` until it settles. A
+	 * page already leaving keeps its running leave.
+	 * @param {Page} page
+	 * @param {Document|HTMLElement} [template]
+	 * @param {AbortSignal} signal - aborts it: the page tears down at once
+	 * @returns {Promise<void>}
+	 */
+	leave(page, template, signal) {
+		if (!this.leaves.has(page)) {
+			this.leaves.set(
+				page,
+				Promise.resolve(page.onLeave?.(template, signal))
+					.catch((err) =>
+						console.error('[Canvas] Leave failed:', err),
+					)
+					.finally(() => this.leaves.delete(page)),
+			);
+		}
+		return this.leaves.get(page);
 	}
 
 	onResize() {
@@ -178,19 +253,24 @@ export default class Canvas {
 		this.camera.aspect = width / height;
 		this.camera.updateProjectionMatrix();
 		this.renderer.setSize(width, height);
+		this.post.setSize();
 
 		if (this.currentPage?.onResize) {
 			this.currentPage.onResize();
 		}
+
+		RenderScheduler.invalidate();
 	}
 
 	update() {
+		if (!RenderScheduler.shouldRender()) return;
+
 		Object.values(this.pages).forEach((page) => {
 			if (this.isTransitioning && page === this.currentPage) return;
 			if (page.update) page.update(this.time);
 		});
 
-		this.renderer.render(this.scene, this.camera);
+		this.post.render(this.scene, this.camera, this.time);
 	}
 
 	addEventListeners() {
@@ -200,17 +280,87 @@ export default class Canvas {
 			this._resizeTimeout = setTimeout(() => this.onResize(), 150);
 		};
 		window.addEventListener('resize', this._onResize);
+
+		this._onInput = () => RenderScheduler.invalidate(2);
+		WAKE_EVENTS.forEach((type) =>
+			window.addEventListener(type, this._onInput, { passive: true }),
+		);
+
+		this._offScroll = SmoothScroll.instance?.lenis.on('scroll', () =>
+			RenderScheduler.invalidate(),
+		);
+
+		const canvas = this.renderer.domElement;
+		this._onContextLost = () => this.onContextLost();
+		this._onContextRestored = () => this.onContextRestored();
+		canvas.addEventListener('webglcontextlost', this._onContextLost);
+		canvas.addEventListener(
+			'webglcontextrestored',
+			this._onContextRestored,
+		);
+	}
+
+	/**
+	 * GPU reset / too many tabs. three preventDefault()s the event so the
+	 * browser may hand the context back; nothing can draw until then.
+	 */
+	onContextLost() {
+		this.time.pause();
+		emitter.emit('webgl:context:lost');
+	}
+
+	/**
+	 * The new context has no GPU resources. three rebuilds its own state
+	 * lazily; textures are flagged for re-upload and the current page
+	 * recreates its views. Mid-transition, the incoming page is created
+	 * after the restore anyway, so only the render resumes.
+	 */
+	onContextRestored() {
+		TextureCache.restore();
+		if (!this.isTransitioning) this.currentPage?.restoreContext?.();
+
+		emitter.emit('webgl:context:restored', {
+			renderer: this.renderer,
+		});
+
+		this.time.play();
+		RenderScheduler.invalidate();
 	}
 
-	destroy() {
+	/**
+	 * Tear down. Leaves still running, and the current page's, are cut
+	 * short and awaited before anything is disposed.
+	 * @returns {Promise<void>}
+	 */
+	async destroy() {
 		this.time.stop();
 		clearTimeout(this._resizeTimeout);
 		window.removeEventListener('resize', this._onResize);
+		WAKE_EVENTS.forEach((type) =>
+			window.removeEventListener(type, this._onInput),
+		);
+		this._offScroll?.();
+		this.renderer?.domElement.removeEventListener(
+			'webglcontextlost',
+			this._onContextLost,
+		);
+		this.renderer?.domElement.removeEventListener(
+			'webglcontextrestored',
+			this._onContextRestored,
+		);
 
-		Object.values(this.pages).forEach((p) => {
-			p.onLeave?.();
-			p.destroy?.();
-		});
+		this.changeController?.abort();
+		if (this.currentPage) {
+			this.leave(this.currentPage, undefined, AbortSignal.abort());
+			this.currentPage = null;
+		}
+		await Promise.allSettled(this.leaves.values());
+
+		RenderScheduler.clear();
+		this.configPanel?.destroy();
+		this.post?.dispose();
+
+		Object.values(this.pages).forEach((p) => p.destroy?.());
 
 		if (this.renderer) {
 			this.renderer.dispose();
@@ -0,0 +1,39 @@
+import SmoothScroll from '@utils/SmoothScroll';
+import RenderScheduler from '../utils/RenderScheduler';
+import { Pass } from './Pass';
+import fragment from './shaders/chromaticFrag.glsl';
+
+/**
+ * Screen-wide radial RGB split driven by Lenis velocity — the global
+ * counterpart of the per-plane rgbShift chunk.
+ */
+export class ChromaticAberrationPass extends Pass {
+	constructor({ amount = 0.0004, max = 0.02, ...options } = {}) {
+		super({
+			...options,
+			fragment,
+			uniforms: { uStrength: { value: 0 } },
+		});
+
+		this.amount = amount;
+		this.max = max;
+		this.strength = 0;
+	}
+
+	update() {
+		const velocity = SmoothScroll.instance?.lenis.velocity || 0;
+		const target = Math.min(
+			Math.abs(velocity) * this.amount,
+			this.max,
+		);
+		this.strength += (target - this.strength) * 0.1;
+
+		// Snap to rest so the scheduler can go idle once scroll settles
+		if (this.strength < 0.0001) {
+			this.strength = 0;
+		} else {
+			RenderScheduler.invalidate();
+		}
+		this.uniforms.uStrength.value = this.strength;
+	}
+}
@@ -0,0 +1,17 @@
+import { Pass } from './Pass';
+import fragment from './shaders/grainFrag.glsl';
+
+/**
+ * Film grain over the whole screen. The pattern changes with every
+ * rendered frame, so it holds still while the canvas is idle rather
+ * than forcing continuous renders.
+ */
+export class GrainPass extends Pass {
+	constructor({ amount = 0.06, ...options } = {}) {
+		super({
+			...options,
+			fragment,
+			uniforms: { uAmount: { value: amount } },
+		});
+	}
+}
@@ -0,0 +1,65 @@
+import { NoBlending, ShaderMaterial, Vector2 } from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import vertexShader from './shaders/passVert.glsl';
+
+/**
+ * Pass — one full-screen step of the PostProcessing chain.
+ *
+ * Reads the previous step's output from `tInput` (premultiplied RGBA,
+ * transparent where the DOM shows through) and writes the next one.
+ * Every pass gets `uResolution` (drawing-buffer px) and `uTime` (ms).
+ *
+ * Disabled passes are skipped; with none enabled, Canvas renders the
+ * scene straight to the screen. Subclasses override update() for
+ * per-frame uniforms and call RenderScheduler.invalidate() while they
+ * animate on their own.
+ */
+export class Pass {
+	constructor({ fragment, uniforms = {}, enabled = true }) {
+		this.enabled = enabled;
+
+		this.material = new ShaderMaterial({
+			vertexShader,
+			fragmentShader: fragment,
+			uniforms: {
+				tInput: { value: null },
+				uResolution: { value: new Vector2() },
+				uTime: { value: 0 },
+				...uniforms,
+			},
+			blending: NoBlending,
+			depthTest: false,
+			depthWrite: false,
+		});
+		this.quad = new FullScreenQuad(this.material);
+	}
+
+	get uniforms() {
+		return this.material.uniforms;
+	}
+
+	setSize(width, height) {
+		this.uniforms.uResolution.value.set(width, height);
+	}
+
+	update() {}
+
+	/**
+	 * @param {THREE.WebGLRenderer} renderer
+	 * @param {THREE.Texture} input - previous step's output
+	 * @param {THREE.WebGLRenderTarget|null} output - null = screen
+	 * @param {Time} time
+	 */
+	render(renderer, input, output, time) {
+		this.uniforms.tInput.value = input;
+		this.uniforms.uTime.value = time.elapsed;
+
+		renderer.setRenderTarget(output);
+		this.quad.render(renderer);
+	}
+
+	dispose() {
+		this.material.dispose();
+		this.quad.dispose();
+	}
+}
@@ -0,0 +1,119 @@
+import { Vector2, WebGLRenderTarget } from 'three';
+import RenderScheduler from '../utils/RenderScheduler';
+
+/**
+ * PostProcessing — optional full-screen pass chain for Canvas.
+ *
+ * The scene renders into a render target, then each enabled Pass reads
+ * the previous output and writes the next (ping-pong), the last one
+ * straight to the screen. With no enabled passes, render() is a plain
+ * renderer.render() and no render target is ever allocated — the chain
+ * costs nothing by default.
+ *
+ * Pages get it as `this.post` and manage their own passes:
+ *   onEnter() { this.post.add(this.vignette); }
+ *   onLeave() { this.post.remove(this.vignette); }
+ */
+export default class PostProcessing {
+	constructor({ renderer }) {
+		this.renderer = renderer;
+		this.passes = [];
+		this.targets = null;
+		this.size = new Vector2();
+		this.renderer.getDrawingBufferSize(this.size);
+	}
+
+	/**
+	 * @param {Pass} pass
+	 * @param {number} [index] - position in the chain, defaults to last
+	 * @returns {Pass}
+	 */
+	add(pass, index = this.passes.length) {
+		if (this.passes.includes(pass)) return pass;
+
+		this.passes.splice(index, 0, pass);
+		pass.setSize(this.size.x, this.size.y);
+		RenderScheduler.invalidate();
+		return pass;
+	}
+
+	/**
+	 * Take a pass out of the chain. The pass keeps its GPU resources so
+	 * it can be added again; call pass.dispose() when done with it.
+	 */
+	remove(pass) {
+		const index = this.passes.indexOf(pass);
+		if (index === -1) return;
+
+		this.passes.splice(index, 1);
+		RenderScheduler.invalidate();
+	}
+
+	has(pass) {
+		return this.passes.includes(pass);
+	}
+
+	render(scene, camera, time) {
+		const passes = this.passes.filter((pass) => pass.enabled);
+
+		if (!passes.length) {
+			this.renderer.render(scene, camera);
+			return;
+		}
+
+		const targets = this.getTargets();
+		let read = targets[0];
+		let write = targets[1];
+
+		this.renderer.setRenderTarget(read);
+		this.renderer.render(scene, camera);
+
+		passes.forEach((pass, i) => {
+			const last = i === passes.length - 1;
+			pass.update(time);
+			pass.render(
+				this.renderer,
+				read.texture,
+				last ? null : write,
+				time,
+			);
+			if (!last) [read, write] = [write, read];
+		});
+	}
+
+	// Created on first use — pages that never add a pass never pay for them
+	getTargets() {
+		if (!this.targets) {
+			const { antialias } = this.renderer
+				.getContext()
+				.getContextAttributes();
+			this.targets = [0, 1].map(
+				() =>
+					new WebGLRenderTarget(this.size.x, this.size.y, {
+						depthBuffer: false,
+						// Keep the MSAA the canvas would have had
+						samples: antialias ? 4 : 0,
+					}),
+			);
+		}
+		return this.targets;
+	}
+
+	// Call after renderer.setSize() — sizes follow the drawing buffer
+	setSize() {
+		this.renderer.getDrawingBufferSize(this.size);
+		this.targets?.forEach((target) =>
+			target.setSize(this.size.x, this.size.y),
+		);
+		this.passes.forEach((pass) =>
+			pass.setSize(this.size.x, this.size.y),
+		);
+	}
+
+	dispose() {
+		this.targets?.forEach((target) => target.dispose());
+		this.targets = null;
+		this.passes.forEach((pass) => pass.dispose());
+		this.passes = [];
+	}
+}
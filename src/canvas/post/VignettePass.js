@@ -0,0 +1,25 @@
+import { Pass } from './Pass';
+import fragment from './shaders/vignetteFrag.glsl';
+
+/**
+ * Darkens the screen edges. `radius` and `softness` are in
+ * screen-height units from the center.
+ */
+export class VignettePass extends Pass {
+	constructor({
+		amount = 0.5,
+		radius = 0.45,
+		softness = 0.5,
+		...options
+	} = {}) {
+		super({
+			...options,
+			fragment,
+			uniforms: {
+				uAmount: { value: amount },
+				uRadius: { value: radius },
+				uSoftness: { value: softness },
+			},
+		});
+	}
+}
@@ -0,0 +1,70 @@
+import { Color } from 'three';
+import { gsap } from 'gsap';
+import RenderScheduler from '../utils/RenderScheduler';
+import { Pass } from './Pass';
+import fragment from './shaders/wipeFrag.glsl';
+
+/**
+ * Page-transition wipe — a solid band sweeps over the screen (progress
+ * 0 → 1) and off it again (1 → 2). Starts disabled and only runs while
+ * one of its tweens does:
+ *
+ *   onLeave() { this.wipe.cover(); }   // hide the outgoing page
+ *   onEnter() { this.wipe.reveal(); }  // uncover the incoming one
+ */
+export class WipePass extends Pass {
+	constructor({
+		color = 0x000000,
+		angle = 0,
+		softness = 0.2,
+		...options
+	} = {}) {
+		super({
+			enabled: false,
+			...options,
+			fragment,
+			uniforms: {
+				uProgress: { value: 0 },
+				uAngle: { value: angle },
+				uSoftness: { value: softness },
+				uColor: { value: new Color(color) },
+			},
+		});
+	}
+
+	cover(vars = {}) {
+		return this.to(1, {
+			duration: 0.8,
+			ease: 'power3.inOut',
+			...vars,
+		});
+	}
+
+	reveal(vars = {}) {
+		return this.to(2, {
+			duration: 0.8,
+			ease: 'power3.inOut',
+			...vars,
+			onComplete: () => {
+				this.enabled = false;
+				this.uniforms.uProgress.value = 0;
+				vars.onComplete?.();
+			},
+		});
+	}
+
+	to(progress, vars) {
+		this.tween?.kill();
+		this.enabled = true;
+
+		this.tween = RenderScheduler.track(
+			gsap.to(this.uniforms.uProgress, { value: progress, ...vars }),
+		);
+		return this.tween;
+	}
+
+	dispose() {
+		this.tween?.kill();
+		super.dispose();
+	}
+}
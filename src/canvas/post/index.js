@@ -0,0 +1,6 @@
+export { default as PostProcessing } from './PostProcessing';
+export { Pass } from './Pass';
+export { GrainPass } from './GrainPass';
+export { VignettePass } from './VignettePass';
+export { ChromaticAberrationPass } from './ChromaticAberrationPass';
+export { WipePass } from './WipePass';
@@ -0,0 +1,18 @@
+precision highp float;
+
+uniform sampler2D tInput;
+uniform float uStrength;
+
+varying vec2 vUv;
+
+void main() {
+	// Radial split, strongest at the edges
+	vec2 offset = (vUv - 0.5) * uStrength;
+
+	vec4 r = texture2D(tInput, vUv + offset);
+	vec4 g = texture2D(tInput, vUv);
+	vec4 b = texture2D(tInput, vUv - offset);
+
+	// Input is premultiplied — keep alpha covering every channel
+	gl_FragColor = vec4(r.r, g.g, b.b, max(max(r.a, g.a), b.a));
+}
@@ -0,0 +1,25 @@
+precision highp float;
+
+uniform sampler2D tInput;
+uniform vec2 uResolution;
+uniform float uTime;
+uniform float uAmount;
+
+varying vec2 vUv;
+
+float random(vec2 co) {
+	return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+	vec4 color = texture2D(tInput, vUv);
+
+	// New pattern per rendered frame — static while the canvas is idle
+	float noise = random(floor(vUv * uResolution) + fract(uTime * 0.001) * 100.0);
+
+	// Premultiplied gray layer over the whole screen, DOM included
+	color.rgb = color.rgb * (1.0 - uAmount) + noise * uAmount;
+	color.a = uAmount + color.a * (1.0 - uAmount);
+
+	gl_FragColor = color;
+}
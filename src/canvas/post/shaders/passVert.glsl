@@ -0,0 +1,9 @@
+precision highp float;
+
+varying vec2 vUv;
+
+// FullScreenQuad triangle — already in clip space
+void main() {
+	vUv = uv;
+	gl_Position = vec4(position.xy, 0.0, 1.0);
+}
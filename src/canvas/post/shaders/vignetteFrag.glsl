@@ -0,0 +1,23 @@
+precision highp float;
+
+uniform sampler2D tInput;
+uniform vec2 uResolution;
+uniform float uAmount;
+uniform float uRadius;
+uniform float uSoftness;
+
+varying vec2 vUv;
+
+void main() {
+	vec4 color = texture2D(tInput, vUv);
+
+	// Distance from center, aspect-corrected so the falloff stays round
+	vec2 centered = (vUv - 0.5) * vec2(uResolution.x / uResolution.y, 1.0);
+	float shade = smoothstep(uRadius, uRadius + uSoftness, length(centered)) * uAmount;
+
+	// Premultiplied black layer — darkens the DOM behind the canvas too
+	color.rgb *= 1.0 - shade;
+	color.a = shade + color.a * (1.0 - shade);
+
+	gl_FragColor = color;
+}
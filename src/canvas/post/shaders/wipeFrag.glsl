@@ -0,0 +1,26 @@
+precision highp float;
+
+uniform sampler2D tInput;
+uniform vec2 uResolution;
+uniform float uProgress;
+uniform float uAngle;
+uniform float uSoftness;
+uniform vec3 uColor;
+
+varying vec2 vUv;
+
+void main() {
+	vec4 color = texture2D(tInput, vUv);
+
+	// Position along the wipe direction, 0 → 1 across the screen
+	vec2 dir = vec2(cos(uAngle), sin(uAngle));
+	float along = dot(vUv - 0.5, dir) / (abs(dir.x) + abs(dir.y)) + 0.5;
+
+	// 0 → 1: the band covers the screen, 1 → 2: it uncovers it
+	float front = uProgress * (1.0 + uSoftness);
+	float back = (uProgress - 1.0) * (1.0 + uSoftness);
+	float cover = smoothstep(along, along + uSoftness, front) * (1.0 - smoothstep(along, along + uSoftness, back));
+
+	// Opaque color over canvas and DOM alike
+	gl_FragColor = vec4(mix(color.rgb, uColor, cover), mix(color.a, 1.0, cover));
+}
@@ -0,0 +1,28 @@
+// Mouse hover bulge. uBulge eases 0 → 1 on hover, the multipliers come
+// from WebGLConfig (bulge, bulgeStrength)
+uniform vec2 uMouse;
+uniform float uBulge;
+uniform float uBulgeMul;
+uniform float uBulgeStrengthMul;
+
+#ifndef BULGE_RADIUS
+#define BULGE_RADIUS 1.2
+#endif
+
+// amount: uBulge * uBulgeMul (instanced planes pass their own uBulge)
+vec2 bulge(vec2 uv, vec2 center, float amount) {
+	// Quadratic curve: mul=1 keeps current 10% peak, mul=2/3 ramp dramatically.
+	// mul=0 → 1.0 (off), mul=1 → 1.1, mul=2 → 1.4, mul=3 → 1.9
+	float strength = 1.0 + 0.1 * uBulgeStrengthMul * uBulgeStrengthMul;
+	uv -= center;
+	float dist = length(uv) / BULGE_RADIUS;
+	float distPow = dist * dist;
+	float strengthAmount = strength / (1.0 + distPow);
+	uv *= mix(1.0, strengthAmount, amount);
+	uv += center;
+	return uv;
+}
+
+vec2 bulge(vec2 uv, vec2 center) {
+	return bulge(uv, center, uBulge * uBulgeMul);
+}
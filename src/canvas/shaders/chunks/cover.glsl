@@ -0,0 +1,10 @@
+// object-fit: cover — uCoverScale from utils/cover.js getCoverScale()
+uniform vec2 uCoverScale;
+
+vec2 coverUv(vec2 uv, vec2 scale) {
+	return (uv - 0.5) * scale + 0.5;
+}
+
+vec2 coverUv(vec2 uv) {
+	return coverUv(uv, uCoverScale);
+}
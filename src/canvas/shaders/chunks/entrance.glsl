@@ -0,0 +1,29 @@
+// Entrance — the plane flies in from ENTRANCE_OFFSET (viewport units)
+// as uEntrance animates 1 → 0, with a Z sine flutter and a ripple
+// across the surface scaled by ENTRANCE_FLUTTER (0.0 = straight slide).
+// Vertex only; the host shader declares uViewportSizes.
+uniform float uEntrance;
+
+#ifndef ENTRANCE_OFFSET
+#define ENTRANCE_OFFSET vec2(0.0, -1.0)
+#endif
+#ifndef ENTRANCE_FLUTTER
+#define ENTRANCE_FLUTTER 1.0
+#endif
+
+vec4 entrance(vec4 pos, vec2 uv, float progress) {
+	if(progress <= 0.0) return pos;
+
+	pos.xy += progress * uViewportSizes * ENTRANCE_OFFSET;
+
+	float flutter = sin(pos.y / uViewportSizes.x * PI) * progress;
+	float ripplePhase = progress * PI * 4.0;
+	float ripple = cos(uv.y * PI - ripplePhase) * progress * 0.5;
+	pos.z += (flutter + ripple) * ENTRANCE_FLUTTER;
+
+	return pos;
+}
+
+vec4 entrance(vec4 pos, vec2 uv) {
+	return entrance(pos, uv, uEntrance);
+}
@@ -0,0 +1,56 @@
+import { ShaderChunk } from 'three';
+import progressiveTexture from './progressiveTexture.glsl';
+import cover from './cover.glsl';
+import bulge from './bulge.glsl';
+import rgbShift from './rgbShift.glsl';
+import motionBlur from './motionBlur.glsl';
+import entrance from './entrance.glsl';
+import pageTransition from './pageTransition.glsl';
+import velocityDeform from './velocityDeform.glsl';
+import textureArray from './textureArray.glsl';
+
+/**
+ * GLSL chunk library — page shaders compose these by name instead of
+ * forking each other's cover / RGB shift / blur code.
+ *
+ * Chunks are registered on three's ShaderChunk, so any ShaderMaterial
+ * can `#include <cover>`. three resolves the includes at compile time,
+ * below the material's `defines`, so each material compiles its own
+ * variant (DOMPlane passes `shaders.defines` through).
+ *
+ * Chunks don't include each other and expect the host shader to
+ * `#define PI` first. Include in dependency order:
+ *   fragment: progressiveTexture → cover → bulge → rgbShift → motionBlur
+ *             → pageTransition (flying shaders, for pageDissolve)
+ *             (instanced: textureArray in place of progressiveTexture)
+ *   vertex:   entrance, pageTransition (after uViewportSizes),
+ *             velocityDeform
+ *
+ * cover(), bulge() and entrance() also take their per-plane value as an
+ * argument, for instanced shaders that read it from an attribute.
+ *
+ * Variants — floats must be passed as strings ('2.0', not 2):
+ *   BULGE_RADIUS              bulge falloff radius (1.2)
+ *   RGB_SHIFT_R, RGB_SHIFT_B  channel offset factors (2.0, -2.0)
+ *   MOTION_BLUR_SAMPLES       taps per fragment, int (8)
+ *   MOTION_BLUR_BLEND         amount where blur fully takes over (0.15)
+ *   MOTION_BLUR_B             blurred taps' blue factor (RGB_SHIFT_B)
+ *   ENTRANCE_OFFSET           start offset in viewports (vec2(0.0, -1.0))
+ *   ENTRANCE_FLUTTER          Z flutter + ripple scale (1.0)
+ *   PAGE_TRANSITION_ZOOM      zoom preset's peak Z push (0.25)
+ */
+export const CHUNKS = {
+	progressiveTexture,
+	cover,
+	bulge,
+	rgbShift,
+	motionBlur,
+	entrance,
+	pageTransition,
+	velocityDeform,
+	textureArray,
+};
+
+Object.entries(CHUNKS).forEach(([name, chunk]) => {
+	ShaderChunk[name] = chunk;
+});
@@ -0,0 +1,34 @@
+// Motion blur along `axis` — MOTION_BLUR_SAMPLES RGB-shifted taps spread
+// over `amount`, blended over the sharp sample. Needs <rgbShift>.
+// MOTION_BLUR_BLEND: amount at which the blur fully takes over (float)
+// MOTION_BLUR_B: blue factor of the blurred taps (float, RGB_SHIFT_B)
+#ifndef MOTION_BLUR_SAMPLES
+#define MOTION_BLUR_SAMPLES 8
+#endif
+#ifndef MOTION_BLUR_BLEND
+#define MOTION_BLUR_BLEND 0.15
+#endif
+#ifndef MOTION_BLUR_B
+#define MOTION_BLUR_B RGB_SHIFT_B
+#endif
+
+vec3 motionBlur(vec2 uv, vec2 axis, float amount, float shift) {
+	vec3 sharp = rgbShift(uv, axis, shift);
+
+	// Early-out: skip the loop when still
+	if(amount < 0.001) return sharp;
+
+	vec3 blurred = vec3(0.0);
+	for(int i = 0; i < MOTION_BLUR_SAMPLES; i++) {
+		float offset = (float(i) / float(MOTION_BLUR_SAMPLES - 1) - 0.5) * amount;
+		vec2 tap = uv + axis * offset;
+		blurred += vec3(
+			sampleTexture(tap + axis * shift * RGB_SHIFT_R).r,
+			sampleTexture(tap).g,
+			sampleTexture(tap + axis * shift * MOTION_BLUR_B).b
+		);
+	}
+	blurred /= float(MOTION_BLUR_SAMPLES);
+
+	return mix(sharp, blurred, smoothstep(0.0, MOTION_BLUR_BLEND, amount));
+}
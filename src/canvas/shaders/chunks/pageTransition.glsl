@@ -0,0 +1,46 @@
+// Page transition — the flight effect while uPageTransition runs
+// 0 → 1 (TransitionController). uPageTransitionMode picks the preset's
+// effect: 0 paper ripple + perlin noise on Z, 1 dissolve (fragment,
+// pageDissolve), 2 zoom towards the camera, 3 none.
+// pageTransition() is vertex only; pageDissolve() is fragment only.
+#include "../../utils/includes/perlinNoise.glsl"
+
+uniform float uPageTransition;
+uniform float uPageTransitionMode;
+
+#ifndef PAGE_TRANSITION_ZOOM
+#define PAGE_TRANSITION_ZOOM 0.25
+#endif
+
+vec4 pageTransition(vec4 pos, vec2 uv) {
+	if(uPageTransition <= 0.0) return pos;
+
+	float waveIntensity = sin(uPageTransition * PI);
+
+	if(uPageTransitionMode == 2.0) {
+		pos.z += waveIntensity * PAGE_TRANSITION_ZOOM;
+		return pos;
+	}
+	if(uPageTransitionMode != 0.0) return pos;
+
+	float easedProgress = smoothstep(0.0, 1.01, uPageTransition);
+	float wavePhase = easedProgress * PI * 2.5;
+	float rippleX = uv.x * PI * 1.5 + wavePhase;
+	float paperRipple = sin(rippleX) * waveIntensity * 0.15;
+
+	float noiseScale = 2.5;
+	float noiseSpeed = uPageTransition * 0.3;
+	float noiseZ = cnoise(vec3(uv * noiseScale, noiseSpeed)) * waveIntensity * 0.035;
+
+	pos.z += -paperRipple * 1.5 + noiseZ;
+	return pos;
+}
+
+// Alpha factor — perlin-cut holes open mid-flight and close on landing
+float pageDissolve(vec2 uv) {
+	if(uPageTransitionMode != 1.0 || uPageTransition <= 0.0) return 1.0;
+
+	float threshold = sin(uPageTransition * PI) * 0.9;
+	float noise = cnoise(vec3(uv * 6.0, uPageTransition)) * 0.5 + 0.5;
+	return smoothstep(threshold, threshold + 0.08, noise);
+}
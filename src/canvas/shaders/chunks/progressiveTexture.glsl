@@ -0,0 +1,20 @@
+// Progressive loading — DOMPlane.revealTexture() crossfades from the
+// placeholder (LQIP / previous source) to the full texture.
+// uTextureMix: 0 = placeholder, 1 = full texture
+// uAtlasRect: region of uTexture for atlas textures (data-gl-atlas) —
+// xy offset, zw size. Unset (0) reads as the whole texture.
+uniform sampler2D uTexture;
+uniform sampler2D uPlaceholder;
+uniform float uTextureMix;
+uniform vec4 uAtlasRect;
+
+vec2 atlasUv(vec2 uv) {
+	if (uAtlasRect.z == 0.0) return uv;
+	return uAtlasRect.xy + clamp(uv, 0.0, 1.0) * uAtlasRect.zw;
+}
+
+vec4 sampleTexture(vec2 uv) {
+	vec4 full = texture2D(uTexture, atlasUv(uv));
+	if (uTextureMix >= 1.0) return full;
+	return mix(texture2D(uPlaceholder, uv), full, uTextureMix);
+}
@@ -0,0 +1,17 @@
+// RGB shift along `axis` — red and blue offset by amount × their
+// factor, green stays put. Needs <progressiveTexture>.
+// RGB_SHIFT_R / RGB_SHIFT_B: channel factors (floats)
+#ifndef RGB_SHIFT_R
+#define RGB_SHIFT_R 2.0
+#endif
+#ifndef RGB_SHIFT_B
+#define RGB_SHIFT_B -2.0
+#endif
+
+vec3 rgbShift(vec2 uv, vec2 axis, float amount) {
+	return vec3(
+		sampleTexture(uv + axis * amount * RGB_SHIFT_R).r,
+		sampleTexture(uv).g,
+		sampleTexture(uv + axis * amount * RGB_SHIFT_B).b
+	);
+}
@@ -0,0 +1,11 @@
+// Instanced planes (PlaneInstances) — every texture is a layer of one
+// sampler2DArray. Stands in for <progressiveTexture>: same
+// sampleTexture(), so cover / rgbShift / motionBlur work unchanged.
+// vLayer comes from the instanced vertex shader (aLayer).
+uniform sampler2DArray uTextures;
+
+varying float vLayer;
+
+vec4 sampleTexture(vec2 uv) {
+	return texture(uTextures, vec3(uv, vLayer));
+}
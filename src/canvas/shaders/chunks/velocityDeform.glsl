@@ -0,0 +1,9 @@
+// Barrel warp from plane movement — uOffset is the plane's smoothed
+// velocity in world units (trail follow, Playground Flip). Vertex only.
+uniform vec2 uOffset;
+
+vec3 velocityDeform(vec3 pos, vec2 uv) {
+	pos.x = pos.x + (sin(uv.y * PI) * uOffset.x);
+	pos.y = pos.y - (sin(uv.x * PI) * uOffset.y);
+	return pos;
+}
@@ -0,0 +1,38 @@
+precision highp float;
+#define PI 3.1415926535897932384626433832795
+
+// Blurred blue shifts with red, unlike the sharp sample
+#ifndef MOTION_BLUR_B
+#define MOTION_BLUR_B 2.0
+#endif
+
+#include <textureArray>
+#include <cover>
+#include <bulge>
+#include <rgbShift>
+#include <motionBlur>
+
+uniform float uStrength;
+uniform float uScrollProgress;
+uniform float uRGBMul;
+uniform float uBlurMul;
+
+varying vec2 vUv;
+varying float vOpacity;
+varying float vBulge;
+varying vec2 vMouse;
+varying vec2 vCoverScale;
+varying float vEntrance;
+
+// sharedFrag, with the per-plane uniforms read from instance varyings
+void main() {
+	vec2 uv = bulge(coverUv(vUv, vCoverScale), vMouse, vBulge * uBulgeMul);
+
+	vec2 axis = vec2(0.0, 1.0);
+	float shiftAmount = uStrength * uScrollProgress * 0.7 * uRGBMul;
+
+	float entranceBlur = vEntrance * 1.5;
+	float blurAmount = smoothstep(0.05, 0.5, abs(uStrength)) * abs(uStrength) * 15.0 * uBlurMul + entranceBlur;
+
+	gl_FragColor = vec4(motionBlur(uv, axis, blurAmount, shiftAmount), vOpacity);
+}
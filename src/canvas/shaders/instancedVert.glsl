@@ -0,0 +1,48 @@
+precision highp float;
+#define PI 3.1415926535897932384626433832795
+
+uniform float uStrength;
+uniform vec2 uViewportSizes;
+uniform float uScrollProgress;
+uniform float uTime;
+
+#include <entrance>
+#include <pageTransition>
+
+// Per-plane values (PlaneInstances INSTANCE_ATTRIBUTES)
+attribute float aLayer;
+attribute float aOpacity;
+attribute float aBulge;
+attribute vec2 aMouse;
+attribute vec2 aCoverScale;
+attribute float aEntrance;
+
+varying vec2 vUv;
+varying float vLayer;
+varying float vOpacity;
+varying float vBulge;
+varying vec2 vMouse;
+varying vec2 vCoverScale;
+varying float vEntrance;
+
+void main() {
+	// Unit plane, scaled to the element by the instance matrix
+	vec4 newPosition = modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+
+	// Z-axis wave: depth distortion on scroll (as sharedVert)
+	float waveZ = sin(newPosition.y / uViewportSizes.y * PI + PI / 2.0) * -uStrength;
+	newPosition.z -= waveZ * 0.8;
+
+	newPosition = entrance(newPosition, uv, aEntrance);
+	newPosition = pageTransition(newPosition, uv);
+
+	vUv = uv;
+	vLayer = aLayer;
+	vOpacity = aOpacity;
+	vBulge = aBulge;
+	vMouse = aMouse;
+	vCoverScale = aCoverScale;
+	vEntrance = aEntrance;
+
+	gl_Position = projectionMatrix * newPosition;
+}
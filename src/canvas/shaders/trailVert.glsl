@@ -5,17 +5,11 @@ uniform float uStrength;
 uniform vec2 uViewportSizes;
 uniform float uTime;
 uniform vec2 uVelocityDir;
-uniform vec2 uOffset;
 uniform float uReveal;
 
-varying vec2 vUv;
+#include <velocityDeform>
 
-// Barrel-warp deformation driven by plane movement velocity
-vec3 deformationCurve(vec3 pos, vec2 uvCoord, vec2 offset) {
-	pos.x = pos.x + (sin(uvCoord.y * PI) * offset.x);
-	pos.y = pos.y - (sin(uvCoord.x * PI) * offset.y);
-	return pos;
-}
+varying vec2 vUv;
 
 void main() {
 	vec3 newPosition = position;
@@ -30,7 +24,7 @@ void main() {
 	}
 
 	// X/Y barrel deformation from movement velocity
-	newPosition = deformationCurve(newPosition, uv, uOffset);
+	newPosition = velocityDeform(newPosition, uv);
 
 	vec4 mvPosition = modelViewMatrix * vec4(newPosition, 1.0);
 
@@ -0,0 +1,151 @@
+import WebGLConfig, { DEFAULTS, ATTR_MAP } from './WebGLConfig';
+import RenderScheduler from './RenderScheduler';
+
+// Same for every knob — documented sweet spot is 0–2, headroom to 4
+const RANGE = { min: 0, max: 4, step: 0.05 };
+
+const PANEL_STYLE = `
+	position: fixed; right: 12px; bottom: 12px; z-index: 10000;
+	width: 260px; padding: 12px; border-radius: 6px;
+	background: rgba(17, 17, 17, 0.92); color: #eee;
+	font: 11px/1.4 ui-monospace, Menlo, monospace;
+`;
+
+/**
+ * ConfigPanel — dev overlay for tuning WebGLConfig live (`?gl-debug`
+ * on the Vite dev server; never in the production bundle).
+ *
+ * Each slider writes a WebGLConfig override and pushes it into every
+ * material in the scene (uBulgeMul, uRGBMul, …); scroll strength is read
+ * by the pages each frame. Planes created later pick the overrides up
+ * through WebGLConfig.get(). "Copy attributes" puts the matching
+ * `<div data-webgl-config …>` snippet on the clipboard for Webflow.
+ */
+export default class ConfigPanel {
+	static isEnabled() {
+		return (
+			import.meta.env.DEV &&
+			new URLSearchParams(window.location.search).has('gl-debug')
+		);
+	}
+
+	constructor({ scene }) {
+		this.scene = scene;
+		this.inputs = {};
+		this.values = {};
+
+		this.create();
+		this.sync();
+	}
+
+	create() {
+		this.el = document.createElement('div');
+		this.el.setAttribute('data-gl-debug', '');
+		this.el.style.cssText = PANEL_STYLE;
+
+		Object.keys(DEFAULTS).forEach((key) => {
+			const row = document.createElement('label');
+			row.style.cssText = 'display: block; margin-bottom: 8px;';
+
+			const name = document.createElement('span');
+			name.textContent = ATTR_MAP[key];
+
+			const value = document.createElement('span');
+			value.style.cssText = 'float: right;';
+
+			const input = document.createElement('input');
+			input.type = 'range';
+			input.min = RANGE.min;
+			input.max = RANGE.max;
+			input.step = RANGE.step;
+			input.style.cssText = 'display: block; width: 100%;';
+			input.addEventListener('input', () =>
+				this.onInput(key, parseFloat(input.value)),
+			);
+
+			row.append(name, value, input);
+			this.el.append(row);
+			this.inputs[key] = input;
+			this.values[key] = value;
+		});
+
+		const actions = document.createElement('div');
+		actions.style.cssText = 'display: flex; gap: 6px;';
+		actions.append(
+			this.createButton('Copy attributes', () => this.copy()),
+			this.createButton('Reset', () => this.reset()),
+		);
+
+		// Fallback when the clipboard API is unavailable (http, denied)
+		this.output = document.createElement('textarea');
+		this.output.readOnly = true;
+		this.output.rows = 7;
+		this.output.style.cssText =
+			'display: none; width: 100%; margin-top: 8px; font: inherit;';
+
+		this.el.append(actions, this.output);
+		document.body.append(this.el);
+	}
+
+	createButton(label, onClick) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.textContent = label;
+		button.style.cssText = 'flex: 1; padding: 4px; font: inherit;';
+		button.addEventListener('click', onClick);
+		return button;
+	}
+
+	onInput(key, value) {
+		// Slider steps drift (0.30000000000000004) — keep snippets clean
+		WebGLConfig.set({ [key]: Math.round(value * 100) / 100 });
+		this.apply();
+	}
+
+	// Push current values into every live material — a plane's own
+	// attributes still win (WebGLConfig.get(el))
+	apply() {
+		this.scene.traverse((child) => {
+			const uniforms = child.material?.uniforms;
+			if (!uniforms) return;
+			WebGLConfig.applyUniforms(
+				uniforms,
+				WebGLConfig.get(child.userData.img),
+			);
+		});
+		RenderScheduler.invalidate();
+		this.sync();
+	}
+
+	sync() {
+		const cfg = WebGLConfig.get();
+		Object.keys(this.inputs).forEach((key) => {
+			this.inputs[key].value = cfg[key];
+			this.values[key].textContent = cfg[key];
+		});
+	}
+
+	copy() {
+		const snippet = WebGLConfig.toSnippet();
+		const showSnippet = () => {
+			this.output.value = snippet;
+			this.output.style.display = 'block';
+			this.output.select();
+		};
+
+		if (!navigator.clipboard) {
+			showSnippet();
+			return;
+		}
+		navigator.clipboard.writeText(snippet).catch(showSnippet);
+	}
+
+	reset() {
+		WebGLConfig.reset();
+		this.apply();
+	}
+
+	destroy() {
+		this.el.remove();
+	}
+}
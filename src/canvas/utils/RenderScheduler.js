@@ -0,0 +1,83 @@
+/**
+ * RenderScheduler — dirty-flag render-on-demand for Canvas.
+ *
+ * Canvas only runs page updates and renderer.render() on ticks where
+ * something asked for a frame. Anything that changes what's on screen
+ * marks the scheduler dirty:
+ *
+ *   - invalidate(frames)     one-off change (plane created, resize, input)
+ *   - hold(key) / release()  render continuously while a state lasts
+ *   - track(animation)       render while a GSAP tween/timeline runs
+ *
+ * Motion that decays on its own (scroll strength, hover easing, trails)
+ * re-invalidates from the page/view update() until it settles, so an
+ * idle page drops to zero renders per tick.
+ */
+class RenderScheduler {
+	constructor() {
+		this.frames = 1;
+		this.holds = new Set();
+		this.animations = new Set();
+	}
+
+	/**
+	 * Request at least `frames` more rendered ticks.
+	 * @param {number} frames
+	 */
+	invalidate(frames = 1) {
+		if (frames > this.frames) this.frames = frames;
+	}
+
+	hold(key) {
+		this.holds.add(key);
+	}
+
+	release(key) {
+		this.holds.delete(key);
+		this.invalidate();
+	}
+
+	/**
+	 * Keep rendering while a GSAP animation is running.
+	 * Returns the animation so calls can be wrapped inline:
+	 *   RenderScheduler.track(gsap.to(uniform, { value: 1 }));
+	 */
+	track(animation) {
+		if (animation) this.animations.add(animation);
+		return animation;
+	}
+
+	isAnimating() {
+		let running = false;
+		this.animations.forEach((anim) => {
+			// Killed or finished — parent is dropped on removal
+			if (!anim.parent || anim.totalProgress() >= 1) {
+				this.animations.delete(anim);
+				return;
+			}
+			if (!anim.paused()) running = true;
+		});
+		return running;
+	}
+
+	/**
+	 * Called once per tick by Canvas. Consumes one dirty frame.
+	 * @returns {boolean} whether this tick should update + render
+	 */
+	shouldRender() {
+		const animating = this.isAnimating();
+		if (this.frames > 0) {
+			this.frames--;
+			return true;
+		}
+		return this.holds.size > 0 || animating;
+	}
+
+	clear() {
+		this.frames = 1;
+		this.holds.clear();
+		this.animations.clear();
+	}
+}
+
+export default new RenderScheduler();
@@ -0,0 +1,253 @@
+import { CanvasTexture, LinearFilter, Vector4 } from 'three';
+import RenderScheduler from './RenderScheduler';
+
+// Longest side of a packed image, in px — bigger sources are scaled down
+const MAX_ITEM_SIZE = 512;
+
+// Gap around each image; its edge pixels are smeared into it so linear
+// filtering at the border doesn't pick up the neighbour
+const GUTTER = 1;
+
+// Share of a page left in freed slots before remove() compacts it
+const MAX_FREED = 0.5;
+
+/**
+ * Region of `texture` a shader should sample, as (u, v, width, height)
+ * in UV space. Live — repacks update it in place, so uniforms can hold
+ * it directly. Standalone textures get the full (0, 0, 1, 1).
+ * @param {THREE.Texture} texture
+ * @returns {THREE.Vector4}
+ */
+export const getAtlasRect = (texture) =>
+	texture?.userData.atlas?.rect || new Vector4(0, 0, 1, 1);
+
+/**
+ * TextureAtlas — packs small images into shared square canvases
+ * (pages), so a wall of thumbnails uploads a few textures instead of
+ * one each. Used by TextureCache for `data-gl-atlas` sources.
+ *
+ * Pages are shelf-packed. Each image gets its own Texture sharing the
+ * page's source (three keeps one GL texture per source), carrying
+ * `userData.atlas = { rect, width, height }`. Adding an image redraws
+ * the page canvas and re-uploads it on the next frame.
+ *
+ * remove() only frees the slot — the page isn't redrawn. A page is
+ * compacted (shelves slide up over empty ones, images slide left
+ * within their shelf) when an image doesn't fit it otherwise, or once
+ * half of it is freed slots. Rects are updated in place. An emptied
+ * page is dropped.
+ */
+export default class TextureAtlas {
+	constructor({ size = 4096 } = {}) {
+		this.size = size;
+		this.pages = [];
+		this.items = new Map(); // texture → item
+	}
+
+	// RGBA8 canvas per page, uploaded whole
+	get bytes() {
+		return this.pages.length * this.size * this.size * 4;
+	}
+
+	/**
+	 * Pack an image into the first page with room.
+	 * @param {HTMLImageElement|ImageBitmap|HTMLCanvasElement} image
+	 * @returns {THREE.Texture}
+	 */
+	add(image) {
+		const sourceWidth = image.naturalWidth || image.width;
+		const sourceHeight = image.naturalHeight || image.height;
+		const scale = Math.min(
+			1,
+			MAX_ITEM_SIZE / Math.max(sourceWidth, sourceHeight),
+		);
+
+		const item = {
+			image,
+			width: Math.max(1, Math.round(sourceWidth * scale)),
+			height: Math.max(1, Math.round(sourceHeight * scale)),
+			x: 0,
+			y: 0,
+			page: null,
+			texture: null,
+		};
+
+		const page =
+			this.pages.find((candidate) => this.fit(candidate, item)) ||
+			this.createPage();
+		if (!item.page) this.insert(page, item);
+
+		item.texture = page.texture.clone();
+		item.texture.userData.atlas = {
+			rect: new Vector4(),
+			width: item.width,
+			height: item.height,
+		};
+		this.items.set(item.texture, item);
+
+		this.draw(item);
+		this.updateRect(item);
+		return item.texture;
+	}
+
+	/**
+	 * Drop an image, freeing its slot.
+	 * @param {THREE.Texture} texture - as returned by add()
+	 */
+	remove(texture) {
+		const item = this.items.get(texture);
+		if (!item) return;
+
+		this.items.delete(texture);
+		texture.dispose();
+
+		const { page } = item;
+		page.shelves.forEach((shelf) => {
+			shelf.items = shelf.items.filter((other) => other !== item);
+		});
+
+		if (page.shelves.every((shelf) => !shelf.items.length)) {
+			this.pages = this.pages.filter((other) => other !== page);
+			return;
+		}
+
+		page.freed +=
+			(item.width + GUTTER * 2) * (item.height + GUTTER * 2);
+		if (page.freed > this.size * this.size * MAX_FREED) {
+			this.repack(page);
+		}
+	}
+
+	createPage() {
+		const canvas = document.createElement('canvas');
+		canvas.width = this.size;
+		canvas.height = this.size;
+
+		// Template for the per-image textures — never bound itself
+		const texture = new CanvasTexture(canvas);
+		texture.generateMipmaps = false;
+		texture.minFilter = LinearFilter;
+
+		const page = {
+			canvas,
+			ctx: canvas.getContext('2d'),
+			texture,
+			shelves: [], // { y, width, height, items }
+			freed: 0, // px² in slots left by remove()
+		};
+		this.pages.push(page);
+		return page;
+	}
+
+	// insert(), compacting a page with freed slots first if it's full —
+	// it's redrawn for the new image anyway
+	fit(page, item) {
+		if (this.insert(page, item)) return true;
+		if (!page.freed) return false;
+
+		this.repack(page);
+		return this.insert(page, item);
+	}
+
+	/**
+	 * Find a spot for `item` on `page`: the lowest shelf it fits on,
+	 * else a new shelf below the last one.
+	 * @returns {boolean} false if the page is full
+	 */
+	insert(page, item) {
+		const width = item.width + GUTTER * 2;
+		const height = item.height + GUTTER * 2;
+
+		let shelf = page.shelves
+			.filter(
+				(candidate) =>
+					candidate.height >= height &&
+					candidate.width + width <= this.size,
+			)
+			.sort((a, b) => a.height - b.height)[0];
+
+		if (!shelf) {
+			const last = page.shelves[page.shelves.length - 1];
+			const y = last ? last.y + last.height : 0;
+			if (y + height > this.size || width > this.size) return false;
+
+			shelf = { y, width: 0, height, items: [] };
+			page.shelves.push(shelf);
+		}
+
+		item.x = shelf.width + GUTTER;
+		item.y = shelf.y + GUTTER;
+		item.page = page;
+		shelf.width += width;
+		shelf.items.push(item);
+		return true;
+	}
+
+	// Close the gaps left by removed images, then redraw the page
+	repack(page) {
+		let y = 0;
+		page.freed = 0;
+		page.shelves = page.shelves.filter((shelf) => shelf.items.length);
+
+		page.shelves.forEach((shelf) => {
+			shelf.y = y;
+			shelf.width = 0;
+			shelf.height = Math.max(
+				...shelf.items.map((item) => item.height + GUTTER * 2),
+			);
+
+			shelf.items.forEach((item) => {
+				item.x = shelf.width + GUTTER;
+				item.y = shelf.y + GUTTER;
+				shelf.width += item.width + GUTTER * 2;
+			});
+
+			y += shelf.height;
+		});
+
+		page.ctx.clearRect(0, 0, this.size, this.size);
+		page.shelves.forEach((shelf) => {
+			shelf.items.forEach((item) => {
+				this.draw(item);
+				this.updateRect(item);
+			});
+		});
+
+		RenderScheduler.invalidate();
+	}
+
+	draw(item) {
+		const { ctx } = item.page;
+		const { image, x, y, width, height } = item;
+
+		// Stretched once under the real draw — fills the gutter with
+		// the image's own edge colours
+		ctx.drawImage(
+			image,
+			x - GUTTER,
+			y - GUTTER,
+			width + GUTTER * 2,
+			height + GUTTER * 2,
+		);
+		ctx.drawImage(image, x, y, width, height);
+	}
+
+	// Canvas px → UV rect. The page uploads with flipY, so canvas top is v = 1
+	updateRect(item) {
+		const { size } = this;
+		item.texture.userData.atlas.rect.set(
+			item.x / size,
+			1 - (item.y + item.height) / size,
+			item.width / size,
+			item.height / size,
+		);
+		// Any image of the page re-uploads the shared canvas
+		item.texture.needsUpdate = true;
+	}
+
+	clear() {
+		this.items.forEach((item, texture) => texture.dispose());
+		this.items.clear();
+		this.pages = [];
+	}
+}
@@ -1,11 +1,113 @@
-import { LinearFilter, TextureLoader } from 'three';
+import { LinearFilter, NoColorSpace, TextureLoader } from 'three';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import TextureAtlas from './TextureAtlas';
 
+// Estimated GPU bytes kept for unreferenced textures before LRU eviction
+const DEFAULT_BUDGET = 256 * 1024 * 1024;
+
+// Same cap as the renderer's pixel ratio (Canvas.createRenderer)
+const MAX_DPR = 2;
+
+// Basis transcoder copied from three/examples/jsm/libs/basis into
+// public/basis/ — served next to main.js (wherever the bundle is
+// hosted), never from a CDN. Relative, so the script's URL is the
+// base; copied as-is, not an asset Vite could resolve at build time
+const TRANSCODER_PATH = new URL(
+	/* @vite-ignore */ './basis/',
+	import.meta.url,
+).href;
+
+const KTX2_EXTENSION = /\.ktx2($|[?#])/i;
+
+// Compressed: sum of mip levels. Atlas: nothing — its pages are
+// counted whole (TextureAtlas.bytes). Otherwise RGBA8, no mipmaps
+// (generateMipmaps is off for every cached image texture)
+const estimateBytes = (texture) => {
+	if (texture.userData.atlas) return 0;
+
+	if (texture.isCompressedTexture) {
+		return texture.mipmaps.reduce(
+			(bytes, mip) => bytes + mip.data.byteLength,
+			0,
+		);
+	}
+	const { width = 0, height = 0 } = texture.image || {};
+	return width * height * 4;
+};
+
+// "a.jpg 320w, b.jpg 640w" | "a.jpg 1x, b.jpg 2x" → [{ src, width, density }]
+const parseSrcset = (srcset) =>
+	srcset
+		.split(',')
+		.map((part) => {
+			const [src, descriptor = '1x'] = part.trim().split(/\s+/);
+			const value = parseFloat(descriptor);
+			return descriptor.endsWith('w')
+				? { src, width: value, density: null }
+				: { src, width: null, density: value || 1 };
+		})
+		.filter((candidate) => candidate.src);
+
+// Width `sizes` gives for the current viewport, in px (0 if unknown)
+const getSizesWidth = (sizes) => {
+	if (!sizes) return 0;
+
+	for (const entry of sizes.split(',')) {
+		const match = entry.trim().match(/^(.*?)\s*(\d*\.?\d+)(px|vw)$/);
+		if (!match) continue;
+
+		const [, media, value, unit] = match;
+		if (media && !window.matchMedia(media).matches) continue;
+
+		return unit === 'vw'
+			? (parseFloat(value) * window.innerWidth) / 100
+			: parseFloat(value);
+	}
+	return 0;
+};
+
+/**
+ * TextureCache — singleton texture loader with dedup, ref-counting and
+ * a byte budget.
+ *
+ * Views acquire() the textures their planes use and release() them on
+ * destroy. Unreferenced textures stay cached (cheap back-navigation)
+ * until the estimated total exceeds the budget, then the least recently
+ * used unreferenced ones are disposed. Referenced textures are never
+ * evicted, so the budget is a soft cap.
+ *
+ * Source selection: pickSource() chooses from `data-gl-srcset`, else the
+ * img's own `srcset` (unless `data-gl-src` overrides it), the smallest
+ * candidate covering displayWidth() × DPR (capped at 2). pickUpgrade()
+ * returns a bigger candidate once a plane outgrows its current one.
+ *
+ * KTX2: once Canvas hands over the renderer (setRenderer) and the GPU
+ * supports a compressed format, `data-gl-src-ktx2` wins over the image
+ * sources. If transcoding fails the request falls back to the picked
+ * image source, aliased under the .ktx2 URL so refs still line up.
+ *
+ * Atlas: sources picked for an element inside `[data-gl-atlas]` are
+ * packed into shared 4096² pages (TextureAtlas) instead of getting a
+ * texture each — small thumbnails, logo walls. load() then resolves to
+ * a texture on the shared page; shaders sample its region,
+ * `getAtlasRect(texture)` (uAtlasRect in DOMPlane). The budget counts
+ * atlas pages whole; evicting an image frees its slot, and a page once
+ * all of its images are gone. Keyed by src like the rest, so a src
+ * packed once is packed wherever it's used.
+ */
 class TextureCache {
 	constructor() {
-		this.cache = new Map();
+		this.cache = new Map(); // src → { texture, bytes, refs } (LRU order)
 		this.loader = new TextureLoader();
 		this.loader.setCrossOrigin('anonymous');
 		this.pending = new Map();
+		this.ktx2Loader = null;
+		this.fallbacks = new Map(); // .ktx2 src → image src
+		this.aliases = new Map(); // failed .ktx2 src → image src
+		this.atlas = new TextureAtlas();
+		this.atlasSources = new Set();
+		this.budget = DEFAULT_BUDGET;
+		this.bytes = 0; // standalone textures — see usage()
 	}
 
 	/**
@@ -16,49 +118,343 @@ class TextureCache {
 	load(src) {
 		if (!src) return Promise.reject(new Error('No source provided'));
 
+		src = this.keyOf(src);
+
 		if (this.cache.has(src)) {
-			return Promise.resolve(this.cache.get(src));
+			this.touch(src);
+			return Promise.resolve(this.cache.get(src).texture);
 		}
 
 		if (this.pending.has(src)) {
 			return this.pending.get(src);
 		}
 
-		const promise = new Promise((resolve, reject) => {
-			this.loader.load(
-				src,
-				(texture) => {
-					texture.generateMipmaps = false;
-					texture.minFilter = LinearFilter;
-					this.cache.set(src, texture);
-					this.pending.delete(src);
-					resolve(texture);
-				},
-				undefined,
-				(err) => {
+		const promise = this.request(src).then(
+			(texture) => {
+				this.add(src, texture);
+				this.pending.delete(src);
+				return texture;
+			},
+			(err) => {
+				this.pending.delete(src);
+
+				const fallback = this.fallbacks.get(src);
+				if (!fallback) {
 					console.error(`[TextureCache] Failed to load ${src}`, err);
-					this.pending.delete(src);
-					reject(err);
-				},
-			);
-		});
+					throw err;
+				}
+
+				console.warn(
+					`[TextureCache] KTX2 failed for ${src}, using ${fallback}`,
+					err,
+				);
+				this.aliases.set(src, fallback);
+				return this.load(fallback);
+			},
+		);
 
 		this.pending.set(src, promise);
 		return promise;
 	}
 
+	request(src) {
+		if (this.ktx2Loader && KTX2_EXTENSION.test(src)) {
+			return this.ktx2Loader.loadAsync(src).then((texture) => {
+				// Match the image path — shaders sample encoded values as-is.
+				// Encode with toktx --lower_left_maps_to_s0t0: compressed
+				// textures can't be flipped on upload.
+				texture.colorSpace = NoColorSpace;
+				return texture;
+			});
+		}
+
+		return this.loader.loadAsync(src).then((texture) => {
+			// Never uploaded — the atlas page holds a copy
+			if (this.atlasSources.has(src))
+				return this.atlas.add(texture.image);
+
+			texture.generateMipmaps = false;
+			texture.minFilter = LinearFilter;
+			return texture;
+		});
+	}
+
+	/**
+	 * Enable `data-gl-src-ktx2` sources. Needs the renderer to detect
+	 * which compressed formats the GPU supports; without any, KTX2 would
+	 * transcode to plain RGBA and save nothing, so it stays off.
+	 * @param {THREE.WebGLRenderer} renderer
+	 */
+	setRenderer(renderer) {
+		this.ktx2Loader?.dispose();
+		this.ktx2Loader = null;
+
+		const loader = new KTX2Loader()
+			.setTranscoderPath(TRANSCODER_PATH)
+			.detectSupport(renderer);
+
+		const { astcHDRSupported, ...formats } = loader.workerConfig;
+		if (Object.values(formats).some(Boolean)) {
+			this.ktx2Loader = loader;
+		} else {
+			loader.dispose();
+		}
+	}
+
+	add(src, texture) {
+		const bytes = estimateBytes(texture);
+		this.cache.set(src, { texture, bytes, refs: 0 });
+		this.bytes += bytes;
+		// Keep the fresh texture — its caller hasn't acquired it yet
+		this.evict(src);
+	}
+
+	// Move to the most-recently-used end of the Map
+	touch(src) {
+		const entry = this.cache.get(src);
+		if (!entry) return;
+		this.cache.delete(src);
+		this.cache.set(src, entry);
+	}
+
+	// Accepts a src or a cached texture instance
+	keyOf(srcOrTexture) {
+		if (typeof srcOrTexture === 'string') {
+			return this.aliases.get(srcOrTexture) || srcOrTexture;
+		}
+		for (const [src, entry] of this.cache) {
+			if (entry.texture === srcOrTexture) return src;
+		}
+		return null;
+	}
+
+	/**
+	 * Mark a texture as in use — it won't be evicted until released.
+	 * @param {string|THREE.Texture} srcOrTexture
+	 */
+	acquire(srcOrTexture) {
+		const src = this.keyOf(srcOrTexture);
+		const entry = src && this.cache.get(src);
+		if (!entry) return;
+		entry.refs++;
+		this.touch(src);
+	}
+
+	/**
+	 * Drop a reference. At zero refs the texture becomes evictable.
+	 * @param {string|THREE.Texture} srcOrTexture
+	 */
+	release(srcOrTexture) {
+		const src = this.keyOf(srcOrTexture);
+		const entry = src && this.cache.get(src);
+		if (!entry || entry.refs === 0) return;
+		entry.refs--;
+		if (entry.refs === 0) {
+			this.touch(src);
+			this.evict();
+		}
+	}
+
+	// Estimated GPU bytes: standalone textures plus atlas pages
+	usage() {
+		return this.bytes + this.atlas.bytes;
+	}
+
+	/**
+	 * Dispose least recently used unreferenced textures until the
+	 * estimated total fits the budget.
+	 * @param {string} [keep] - src to skip (just added)
+	 */
+	evict(keep) {
+		if (this.usage() <= this.budget) return;
+
+		for (const [src, entry] of this.cache) {
+			if (this.usage() <= this.budget) break;
+			if (entry.refs > 0 || src === keep) continue;
+
+			if (entry.texture.userData.atlas) {
+				this.atlas.remove(entry.texture);
+			} else {
+				entry.texture.dispose();
+			}
+			this.cache.delete(src);
+			this.bytes -= entry.bytes;
+		}
+	}
+
+	setBudget(bytes) {
+		this.budget = bytes;
+		this.evict();
+	}
+
+	/**
+	 * Element carrying the image source — the element itself, or the
+	 * first <img> inside a wrapper.
+	 */
+	sourceElement(el) {
+		if (
+			el.matches(
+				'img, [data-gl-src], [data-gl-srcset], [data-gl-src-ktx2]',
+			)
+		)
+			return el;
+		return el.querySelector('img') || el;
+	}
+
+	// Inside `[data-gl-atlas]` (on the element or an ancestor)
+	isAtlas(el) {
+		return !!el.closest('[data-gl-atlas]');
+	}
+
+	/**
+	 * Width (CSS px) an element's source is picked for: what its `sizes`
+	 * gives for the viewport — known before it renders, so prefetched
+	 * documents pick what DOMPlane will — else its rendered width (0
+	 * when it isn't rendered).
+	 * @param {HTMLElement} el
+	 * @returns {number}
+	 */
+	displayWidth(el) {
+		return (
+			getSizesWidth(el.getAttribute('sizes')) ||
+			el.getBoundingClientRect().width
+		);
+	}
+
+	// The srcset candidates are picked from, if any
+	srcsetOf(el) {
+		return (
+			el.getAttribute('data-gl-srcset') ||
+			(!el.hasAttribute('data-gl-src') && el.getAttribute('srcset'))
+		);
+	}
+
+	/**
+	 * Best texture candidate for an element at a rendered width.
+	 * Registers atlas sources, which never use KTX2 (packed through a
+	 * 2D canvas).
+	 * @param {HTMLElement} el - <img> or element with data-gl-src(set)
+	 * @param {number} [displayWidth] - CSS px, defaults to displayWidth()
+	 * @param {boolean} [atlas] - pack it, defaults to isAtlas(el)
+	 * @returns {{ src: string, width: number|null }} width is the srcset
+	 *   `w` descriptor, null when unknown (plain src, `x` descriptors, ktx2)
+	 */
+	pickSource(
+		el,
+		displayWidth = this.displayWidth(el),
+		atlas = this.isAtlas(el),
+	) {
+		const candidate = this.pickImageSource(el, displayWidth);
+
+		if (atlas) {
+			if (candidate.src) this.atlasSources.add(candidate.src);
+			return candidate;
+		}
+
+		const ktx2 = el.getAttribute('data-gl-src-ktx2');
+		if (!ktx2 || !this.ktx2Loader) return candidate;
+
+		if (candidate.src) this.fallbacks.set(ktx2, candidate.src);
+		return { src: ktx2, width: null };
+	}
+
+	// JPEG/WebP candidate from data-gl-srcset / srcset / data-gl-src / src
+	pickImageSource(el, displayWidth) {
+		const fallback = {
+			src: el.getAttribute('data-gl-src') || el.src,
+			width: null,
+		};
+		const srcset = this.srcsetOf(el);
+
+		// Unrendered elements (display:none, prefetched documents)
+		// measure 0 — use `sizes`, else keep the full source
+		if (!displayWidth) {
+			displayWidth = getSizesWidth(el.getAttribute('sizes'));
+		}
+		if (!srcset || !displayWidth) return fallback;
+
+		const candidates = parseSrcset(srcset);
+		const dpr = Math.min(window.devicePixelRatio, MAX_DPR);
+
+		const byWidth = candidates
+			.filter((candidate) => candidate.width)
+			.sort((a, b) => a.width - b.width);
+		if (byWidth.length) {
+			const target = displayWidth * dpr;
+			const pick =
+				byWidth.find((candidate) => candidate.width >= target) ||
+				byWidth[byWidth.length - 1];
+			return { src: pick.src, width: pick.width };
+		}
+
+		const byDensity = candidates.sort(
+			(a, b) => a.density - b.density,
+		);
+		if (!byDensity.length) return fallback;
+		const pick =
+			byDensity.find((candidate) => candidate.density >= dpr) ||
+			byDensity[byDensity.length - 1];
+		return { src: pick.src, width: null };
+	}
+
+	/**
+	 * Bigger candidate for an element that now renders at `displayWidth`,
+	 * or null if `current` still covers it (never downgrades). Never an
+	 * atlas source — a thumbnail outgrowing its slot leaves the atlas.
+	 */
+	pickUpgrade(el, current, displayWidth) {
+		if (!current?.width) return null;
+
+		const next = this.pickSource(el, displayWidth, false);
+		if (!next.width || next.width <= current.width) return null;
+		return next;
+	}
+
+	/**
+	 * Flag every cached texture for re-upload after a WebGL context
+	 * restore — their GPU copies went with the old context.
+	 */
+	restore() {
+		this.cache.forEach(({ texture }) => {
+			texture.needsUpdate = true;
+		});
+	}
+
 	get(src) {
-		return this.cache.get(src);
+		return this.cache.get(this.keyOf(src))?.texture;
 	}
 
 	has(src) {
-		return this.cache.has(src);
+		return this.cache.has(this.keyOf(src));
+	}
+
+	/**
+	 * @returns {{ count: number, bytes: number, budget: number, referenced: number, pending: number }}
+	 */
+	stats() {
+		let referenced = 0;
+		this.cache.forEach((entry) => {
+			if (entry.refs > 0) referenced++;
+		});
+
+		return {
+			count: this.cache.size,
+			bytes: this.usage(),
+			budget: this.budget,
+			referenced,
+			pending: this.pending.size,
+		};
 	}
 
 	clear() {
-		this.cache.forEach((texture) => texture.dispose());
+		this.cache.forEach((entry) => entry.texture.dispose());
 		this.cache.clear();
+		this.atlas.clear();
+		this.atlasSources.clear();
 		this.pending.clear();
+		this.aliases.clear();
+		this.fallbacks.clear();
+		this.bytes = 0;
 	}
 }
 
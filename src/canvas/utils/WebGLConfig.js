@@ -12,7 +12,22 @@
  *
  * All values are floating-point multipliers — decimals like 0.5, 1.75, 2.3
  * all work. `1` everywhere = current shipping look. Missing/invalid attrs
- * fall back to `1`. Changes apply on page reload.
+ * fall back to the level above (`1` at the top, see cascade below).
+ * Changes apply on page reload — or live, with the
+ * `?gl-debug` tuning panel (utils/ConfigPanel, dev server only), which
+ * also copies the snippet above with the tuned values.
+ *
+ * Overrides cascade, later wins:
+ *   1. the global div above
+ *   2. a [data-webgl-config] inside the current [data-taxi-view] — only
+ *      the attributes it sets, e.g. a calm case study:
+ *        <div data-webgl-config data-rgb-shift="0.3" style="display:none">
+ *   3. ?gl-debug panel overrides, standing in for levels 1–2
+ *   4. the same attributes on an individual [data-gl-img] element
+ *      (uniform knobs only — scroll strength is per page)
+ * Levels 1–2 are re-read on every navigation (Canvas.onChange). The
+ * panel never touches level 4, so its preview matches the page once
+ * the snippet is in Webflow.
  *
  * ─────────────────────────────────────────────────────────────────────────
  *  data-bulge — overall lens visibility on hover
@@ -98,30 +113,95 @@ const ATTR_MAP = {
 	blur: 'data-blur',
 };
 
-let cache = null;
+// Knobs pushed into plane materials. scrollStrength has no uniform —
+// pages read it from get() every frame.
+const UNIFORM_MAP = {
+	bulge: 'uBulgeMul',
+	bulgeStrength: 'uBulgeStrengthMul',
+	rgbShift: 'uRGBMul',
+	blur: 'uBlurMul',
+};
 
-function read() {
-	const el = document.querySelector('[data-webgl-config]');
-	if (!el) return { ...DEFAULTS };
+let base = null; // defaults ← global div ← view div
+let resolved = null; // base ← overrides
+let overrides = {};
 
-	const out = {};
+// Copy the knobs `el` sets onto `out`; missing/invalid attrs are skipped
+function readAttributes(el, out) {
 	for (const key in DEFAULTS) {
-		const raw = el.getAttribute(ATTR_MAP[key]);
-		const parsed = parseFloat(raw);
-		out[key] = Number.isFinite(parsed) ? parsed : DEFAULTS[key];
+		const parsed = parseFloat(el.getAttribute(ATTR_MAP[key]));
+		if (Number.isFinite(parsed)) out[key] = parsed;
 	}
 	return out;
 }
 
+function read() {
+	const out = { ...DEFAULTS };
+
+	const global = Array.from(
+		document.querySelectorAll('[data-webgl-config]'),
+	).find((el) => !el.closest('[data-taxi-view]'));
+	if (global) readAttributes(global, out);
+
+	// Latest view — the outgoing one may still be in the DOM
+	const view = Array.from(
+		document.querySelectorAll('[data-taxi-view]'),
+	).pop();
+	const local = view?.querySelector('[data-webgl-config]');
+	if (local) readAttributes(local, out);
+
+	return out;
+}
+
 const WebGLConfig = {
-	get() {
-		if (!cache) cache = read();
-		return cache;
+	/**
+	 * @param {HTMLElement} [el] - plane element for level-4 overrides
+	 * @returns {typeof DEFAULTS} shared object without `el` — don't mutate
+	 */
+	get(el) {
+		if (!base) base = read();
+		if (!resolved) resolved = { ...base, ...overrides };
+		if (el) return readAttributes(el, { ...resolved });
+		return resolved;
 	},
 	refresh() {
-		cache = read();
-		return cache;
+		base = read();
+		resolved = null;
+		return this.get();
+	},
+
+	/**
+	 * Runtime overrides (debug panel). They win over the global and
+	 * page divs until reset(); plane attributes still win over them.
+	 * @param {Partial<typeof DEFAULTS>} values
+	 */
+	set(values) {
+		overrides = { ...overrides, ...values };
+		resolved = null;
+		return this.get();
+	},
+	reset() {
+		overrides = {};
+		resolved = null;
+		return this.get();
+	},
+
+	// Write the knobs that have a uniform into a material's uniforms
+	applyUniforms(uniforms, cfg = this.get()) {
+		for (const key in UNIFORM_MAP) {
+			const uniform = uniforms[UNIFORM_MAP[key]];
+			if (uniform) uniform.value = cfg[key];
+		}
+	},
+
+	// `<div data-webgl-config …>` markup for the given values
+	toSnippet(cfg = this.get()) {
+		const attrs = Object.keys(DEFAULTS)
+			.map((key) => `\n     ${ATTR_MAP[key]}="${cfg[key]}"`)
+			.join('');
+		return `<div data-webgl-config${attrs}\n     style="display:none"></div>`;
 	},
 };
 
+export { DEFAULTS, ATTR_MAP };
 export default WebGLConfig;
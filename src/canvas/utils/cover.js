@@ -0,0 +1,32 @@
+/**
+ * UV scale that reproduces `object-fit: cover` for a texture on a plane.
+ * Shaders apply it as: coverUv = (vUv - 0.5) * uCoverScale + 0.5
+ *
+ * @param {number} imageAspect - texture width / height
+ * @param {number} planeAspect - plane (DOM rect) width / height
+ * @returns {number[]} [x, y] scale
+ */
+export const getCoverScale = (imageAspect, planeAspect) =>
+	imageAspect > planeAspect
+		? [planeAspect / imageAspect, 1.0]
+		: [1.0, imageAspect / planeAspect];
+
+/**
+ * Intrinsic aspect of a texture's source (image, video, canvas), or of
+ * its region for atlas textures. Falls back to 1 while the source has
+ * no dimensions yet.
+ */
+export const getTextureAspect = (texture) => {
+	const atlas = texture?.userData.atlas;
+	if (atlas) return atlas.width / atlas.height;
+
+	const source = texture?.image;
+	if (!source) return 1;
+
+	const width =
+		source.videoWidth || source.naturalWidth || source.width;
+	const height =
+		source.videoHeight || source.naturalHeight || source.height;
+
+	return width && height ? width / height : 1;
+};
@@ -0,0 +1,85 @@
+/**
+ * Flight presets for TransitionController, picked per link:
+ *
+ *   <a href="/project/x" data-gl-transition="zoom" data-gl-duration="0.9">
+ *
+ * `data-gl-transition` names a preset (ripple when missing or unknown),
+ * `data-gl-duration` (seconds) stretches all of its timings at once.
+ *
+ * A preset, times in seconds from take-off:
+ *   duration  position / size / cover scale / shader effect
+ *   ease      position / size / cover scale
+ *   handoff   webgl:transition:handoff — the HTML page fades in
+ *   fade      the plane starts fading out
+ *   mode      uPageTransitionMode (shaders/chunks/pageTransition.glsl)
+ *
+ * Presets are plain data — they also travel in history.state for
+ * return flights.
+ */
+const PRESETS = {
+	ripple: {
+		duration: 1.25,
+		ease: 'expo.inOut',
+		handoff: 1.3,
+		fade: 1.5,
+		mode: 0,
+	},
+	dissolve: {
+		duration: 1.1,
+		ease: 'power3.inOut',
+		handoff: 1.1,
+		fade: 1.2,
+		mode: 1,
+	},
+	zoom: {
+		duration: 1,
+		ease: 'power4.inOut',
+		handoff: 1.05,
+		fade: 1.2,
+		mode: 2,
+	},
+	// Jump cut — the plane snaps to the target and hands off at once
+	none: {
+		duration: 0,
+		ease: 'none',
+		handoff: 0,
+		fade: 0,
+		mode: 3,
+	},
+};
+
+export const DEFAULT_PRESET = 'ripple';
+
+/**
+ * Add or replace a preset.
+ * @param {string} name - value for data-gl-transition
+ * @param {{ duration, ease, handoff, fade, mode }} preset
+ */
+export const registerTransitionPreset = (name, preset) => {
+	PRESETS[name] = preset;
+};
+
+/**
+ * Preset for a link, from its data-gl-transition / data-gl-duration.
+ * @param {Element} [link] - none gives the default preset
+ * @returns {{ name, duration, ease, handoff, fade, mode }}
+ */
+export const resolveTransitionPreset = (link) => {
+	let name = link?.dataset.glTransition || DEFAULT_PRESET;
+	if (!PRESETS[name]) {
+		console.warn(`[transitionPresets] Unknown preset "${name}"`);
+		name = DEFAULT_PRESET;
+	}
+
+	const preset = { name, ...PRESETS[name] };
+	const duration = parseFloat(link?.dataset.glDuration);
+	if (!(duration >= 0) || !preset.duration) return preset;
+
+	const scale = duration / preset.duration;
+	return {
+		...preset,
+		duration,
+		handoff: preset.handoff * scale,
+		fade: preset.fade * scale,
+	};
+};
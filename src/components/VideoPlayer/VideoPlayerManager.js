@@ -1,4 +1,5 @@
 import ComponentCore from '@component-core/ComponentCore';
+import emitter from '@utils/Emitter';
 import { MainPlayer } from './variants/MainPlayer.js';
 import { LightboxPlayer } from './variants/LightboxPlayer.js';
 import { BackgroundPlayer } from './variants/BackgroundPlayer.js';
@@ -16,6 +17,10 @@ const VARIANTS = {
  * Handles lightbox open/close/ESC routing centrally so multiple
  * lightboxes on the same page don't conflict with each other.
  *
+ * Resumes the main player from a WebGL video flight: the
+ * webgl:transition:handoff payload's `video` (TransitionController)
+ * is where the card's video had got to.
+ *
  * Re-instantiated on every Taxi page transition via `new Components()`
  * in TransitionManager. Uses el._videoPlayer marker to avoid double-init.
  */
@@ -33,9 +38,17 @@ export default class VideoPlayerManager extends ComponentCore {
 		this._setupLightboxRouting();
 	}
 
-	createEvents() {}
-	addEventListeners() {}
-	removeEventListeners() {}
+	createEvents() {
+		this.events.handoff = this._onHandoff.bind(this);
+	}
+
+	addEventListeners() {
+		emitter.on('webgl:transition:handoff', this.events.handoff);
+	}
+
+	removeEventListeners() {
+		emitter.off('webgl:transition:handoff', this.events.handoff);
+	}
 
 	_scan() {
 		var self = this;
@@ -56,6 +69,20 @@ export default class VideoPlayerManager extends ComponentCore {
 		});
 	}
 
+	/**
+	 * A video card landed on the main player — the one
+	 * canvas/Project targets — carry on from the card's position.
+	 */
+	_onHandoff(data) {
+		if (!data || !data.video) return;
+
+		var el = document.querySelector('[data-video="main"]');
+		var player = el && el._videoPlayer;
+		if (!player) return;
+
+		player.resumeAt(data.video.currentTime, data.video.playing);
+	}
+
 	/**
 	 * Central lightbox routing — ONE document listener handles all
 	 * open/close clicks and ESC key, routing to the correct instance.
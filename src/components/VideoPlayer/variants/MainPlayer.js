@@ -17,6 +17,7 @@ import {
  *  - Lazy loading modes (data-player-lazy: "true" | "meta" | eager)
  *  - IntersectionObserver autoplay (data-player-autoplay)
  *  - Hooks lazy-attach into first play
+ *  - resumeAt() for WebGL video flights landing on it
  */
 export class MainPlayer {
 	constructor(el) {
@@ -117,6 +118,37 @@ export class MainPlayer {
 		}
 	}
 
+	/**
+	 * Seek to `time` (seconds) once metadata is in, attaching lazy
+	 * media first — then play if the source was playing.
+	 */
+	resumeAt(time, play) {
+		var c = this.core;
+		var video = c.video;
+
+		if (!this._isAttached) this._attachMedia();
+
+		function seek() {
+			var duration = video.duration;
+			video.currentTime =
+				isFinite(duration) && duration > 0 ? time % duration : time;
+			if (!play) return;
+			c._lastPauseBy = '';
+			c.pendingPlay = true;
+			c.setStatus('loading');
+			safePlay(video);
+		}
+
+		if (video.readyState >= 1) {
+			seek();
+			return;
+		}
+		video.addEventListener('loadedmetadata', seek, {
+			once: true,
+			signal: c._signal,
+		});
+	}
+
 	_fetchMetaOnce() {
 		var self = this;
 		var c = this.core;
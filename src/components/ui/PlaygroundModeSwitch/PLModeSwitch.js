@@ -1,6 +1,7 @@
 import ComponentCore from '@/components/_core/ComponentCore';
 import { gsap } from 'gsap';
 import { Flip } from 'gsap/Flip';
+import emitter from '@utils/Emitter';
 
 export default class PLModeSwitch extends ComponentCore {
 	constructor() {
@@ -37,7 +38,7 @@ export default class PLModeSwitch extends ComponentCore {
 
 		const isTo4 = mode === '4';
 
-		Flip.from(state, {
+		const flip = Flip.from(state, {
 			duration: isTo4 ? 1.3 : 1,
 			ease: 'expo.inOut',
 			absoluteOnLeave: true,
@@ -47,7 +48,16 @@ export default class PLModeSwitch extends ComponentCore {
 				from: isTo4 ? 'center' : 'start',
 			},
 		});
-		gsap.to(this.cardItem, {
+		// Keeps the WebGL planes rendering while they follow the cards
+		emitter.emit('playground:mode:switch', { mode, animation: flip });
+
+		// Cards with a WebGL plane get their blur in the shader
+		const domCards = Array.from(this.cardItem).filter(
+			(card) => !card.hasAttribute('data-gl-plane'),
+		);
+		if (!domCards.length) return;
+
+		gsap.to(domCards, {
 			filter: 'blur(10px)',
 			duration: isTo4 ? 1 : 0.4,
 			yoyo: true,
@@ -7,6 +7,7 @@ import { Work } from '@canvas/Work';
 import { Originals } from '@canvas/Originals';
 import { About } from '@canvas/About';
 import { Project } from '@canvas/Project';
+import { Playground } from '@canvas/Playground';
 import ProjectTransition from '@/transitions/pages/project';
 import WorksTransition from '@/transitions/pages/works';
 import PlaygroundTransition from '@/transitions/pages/playground';
@@ -15,10 +16,23 @@ import AboutTransition from '@transitions/pages/about';
 import HomeTransition from '@transitions/pages/home';
 import Preloader from '@transitions/Preloader';
 import emitter from '@utils/Emitter';
+import Router from '@utils/Router';
 import { isMobile } from '@utils/device';
 import ensureInlineVideos from '@utils/ensureInlineVideos';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
 
+// --- Route Table ---
+// Names key both registries below. Static segments win over params,
+// whatever the order (see utils/Router).
+const routes = [
+	{ path: '/', name: 'home' },
+	{ path: '/works', name: 'works' },
+	{ path: '/works/:slug', name: 'project' },
+	{ path: '/originals/:slug', name: 'originals' },
+	{ path: '/about', name: 'about' },
+	{ path: '/playground', name: 'playground' },
+];
+
 // --- Page Registry (WebGL) ---
 const pages = {
 	home: Home,
@@ -26,6 +40,7 @@ const pages = {
 	originals: Originals,
 	project: Project,
 	about: About,
+	playground: Playground,
 };
 
 // --- Transition Registry ---
@@ -40,29 +55,37 @@ const pageTransitions = {
 	about: AboutTransition,
 };
 
+// --- Transition Rules ---
+// Chosen by origin, destination and trigger before pageTransitions
+// (see transitions/rules), e.g.
+//   { from: 'project', to: 'project', trigger: '[data-next-project]',
+//     transition: NextProjectTransition, priority: 10 }
+const transitionRules = [];
+
 // --- Main App ---
 class App {
 	constructor() {
 		ensureInlineVideos();
+		Router.define(routes);
 
 		const scroll = new SmoothScroll();
 
 		const canvas = isMobile() ? null : new Canvas(pages);
 		if (canvas) {
 			emitter.on('transition:complete', () => {
-				canvas.onChange(canvas.detectPageName());
+				const route = canvas.detectRoute();
+				canvas.onChange(route?.name || null, undefined, route);
 			});
 		}
 
-		const isHome = ['/', '/index', '/index.html'].includes(
-			window.location.pathname,
-		);
+		const isHome = Router.match()?.name === 'home';
 		const showPreloader = isHome; // TODO: restore sessionStorage check after debugging
 
 		if (showPreloader) {
 			scroll.stopScroll();
 			const tm = new TransitionManager({
 				pageTransitions,
+				transitionRules,
 				deferDomInit: true,
 			});
 			const preloader = new Preloader({
@@ -77,7 +100,7 @@ class App {
 			preloader.start();
 			sessionStorage.setItem('preloaderShown', 'true');
 		} else {
-			new TransitionManager({ pageTransitions });
+			new TransitionManager({ pageTransitions, transitionRules });
 		}
 	}
 }
@@ -0,0 +1,198 @@
+import TextureCache from '@canvas/utils/TextureCache';
+import { PLANE_ELEMENTS } from '@canvas/DOMPlane';
+import emitter from '@utils/Emitter';
+
+// Hover this long (ms) before it counts as intent
+const HOVER_INTENT = 80;
+
+// HTML fetches + texture loads in flight at once
+const MAX_CONCURRENT = 3;
+
+/**
+ * TexturePrefetcher — warms TextureCache for the page a link leads to.
+ *
+ * On hover intent / focus, and when a link wrapping a WebGL plane
+ * (image or video card) scrolls into view, the destination HTML is
+ * preloaded into Taxi's cache, the sources of its plane elements
+ * (DOMPlane's PLANE_ELEMENTS) are resolved the same way DOMPlane
+ * resolves them (TextureCache.pickSource) and the textures are queued.
+ * Hover and focus jump the queue; viewport entries wait their turn.
+ * Videos and atlas sources are left out — they don't get a texture of
+ * their own (VideoTexture, a slot on an atlas page) — and so are
+ * srcsets without `sizes`, whose pick waits on a rendered width.
+ *
+ * Prefetched textures are unreferenced, so the cache budget can still
+ * evict them. Disabled when the browser asks to save data.
+ */
+export default class TexturePrefetcher {
+	constructor(taxi, links) {
+		this.taxi = taxi;
+		this.links = links;
+		this.queue = [];
+		this.active = 0;
+		this.seen = new Set(); // page URLs already queued
+		this.hoverLink = null;
+		this.hoverTimer = null;
+
+		this.enabled = !navigator.connection?.saveData;
+		if (!this.enabled) return;
+
+		this.abortController = new AbortController();
+		this.observer = new IntersectionObserver(
+			(entries) => this.onIntersect(entries),
+			{ rootMargin: '0px 0px 25% 0px' },
+		);
+
+		this.addEventListeners();
+		this.observeLinks();
+	}
+
+	addEventListeners() {
+		const { signal } = this.abortController;
+
+		document.addEventListener(
+			'pointerover',
+			(e) => this.onPointerOver(e),
+			{ signal },
+		);
+		document.addEventListener(
+			'pointerout',
+			(e) => this.onPointerOut(e),
+			{ signal },
+		);
+		document.addEventListener(
+			'focusin',
+			(e) => {
+				const link = e.target.closest?.(this.links);
+				if (link) this.prefetch(link.href, true);
+			},
+			{ signal },
+		);
+
+		// New page, new links
+		this._onComplete = () => this.observeLinks();
+		emitter.on('transition:complete', this._onComplete);
+	}
+
+	onPointerOver(e) {
+		const link = e.target.closest?.(this.links);
+		if (!link || link === this.hoverLink) return;
+
+		this.hoverLink = link;
+		clearTimeout(this.hoverTimer);
+		this.hoverTimer = setTimeout(
+			() => this.prefetch(link.href, true),
+			HOVER_INTENT,
+		);
+	}
+
+	onPointerOut(e) {
+		if (!this.hoverLink || this.hoverLink.contains(e.relatedTarget))
+			return;
+
+		clearTimeout(this.hoverTimer);
+		this.hoverLink = null;
+	}
+
+	// Only links carrying a WebGL plane — cards that can start a flight
+	observeLinks() {
+		this.observer.disconnect();
+		document.querySelectorAll(this.links).forEach((link) => {
+			if (link.querySelector(PLANE_ELEMENTS)) {
+				this.observer.observe(link);
+			}
+		});
+	}
+
+	onIntersect(entries) {
+		entries.forEach((entry) => {
+			if (!entry.isIntersecting) return;
+			this.observer.unobserve(entry.target);
+			this.prefetch(entry.target.href);
+		});
+	}
+
+	/**
+	 * Preload a page through Taxi and queue its WebGL textures.
+	 * @param {string} href
+	 * @param {boolean} [urgent] - put ahead of queued viewport prefetches
+	 */
+	prefetch(href, urgent = false) {
+		if (!this.enabled || !href) return;
+
+		const url = new URL(href, window.location.origin);
+		if (url.host !== window.location.host) return;
+		url.hash = '';
+
+		const current = new URL(window.location.href);
+		current.hash = '';
+		if (url.href === current.href || this.seen.has(url.href)) return;
+		this.seen.add(url.href);
+
+		this.enqueue(
+			[
+				() =>
+					this.taxi
+						.preload(url.href)
+						.then(() => this.collect(url.href, urgent)),
+			],
+			urgent,
+		);
+	}
+
+	collect(url, urgent) {
+		const entry = this.taxi.cache.get(url);
+		if (!entry) return;
+
+		const srcs = new Set();
+		entry.content.querySelectorAll(PLANE_ELEMENTS).forEach((el) => {
+			if (el.hasAttribute('data-gl-video')) return;
+
+			const sourceEl = TextureCache.sourceElement(el);
+			// Packed by the destination — a standalone copy goes unused
+			if (TextureCache.isAtlas(sourceEl)) return;
+
+			// Picked by the same width as DOMPlane; without `sizes` that's
+			// a rendered width this unrendered copy doesn't have yet
+			const width = TextureCache.displayWidth(sourceEl);
+			if (!width && TextureCache.srcsetOf(sourceEl)) return;
+
+			const { src } = TextureCache.pickSource(sourceEl, width);
+			if (src && !TextureCache.has(src)) srcs.add(src);
+		});
+
+		this.enqueue(
+			[...srcs].map((src) => () => TextureCache.load(src)),
+			urgent,
+		);
+	}
+
+	enqueue(tasks, urgent) {
+		if (urgent) this.queue.unshift(...tasks);
+		else this.queue.push(...tasks);
+		this.next();
+	}
+
+	next() {
+		while (this.active < MAX_CONCURRENT && this.queue.length) {
+			const task = this.queue.shift();
+			this.active++;
+			task()
+				.catch(() => {})
+				.finally(() => {
+					this.active--;
+					this.next();
+				});
+		}
+	}
+
+	destroy() {
+		if (!this.enabled) return;
+
+		this.abortController.abort();
+		this.observer.disconnect();
+		clearTimeout(this.hoverTimer);
+		emitter.off('transition:complete', this._onComplete);
+		this.queue = [];
+	}
+}
@@ -0,0 +1,51 @@
+import { Transition } from '@unseenco/taxi';
+import { gsap } from 'gsap';
+import { revealOnHandoff } from '../handoff';
+
+/**
+ * Back/forward onto a grid a shared-element flight left from.
+ *
+ * TransitionController flies the hero plane back to its thumbnail,
+ * so this only clears the old page and keeps the restored one hidden
+ * until the plane lands.
+ */
+export default class FlightReturnTransition extends Transition {
+	onLeave({ done }) {
+		done();
+	}
+
+	onEnter({ to }, animationComplete) {
+		/*
+		 * ───────────────────────────────────────
+		 *  Fade out old content
+		 *  Uncovers the hero plane on its way
+		 *  back to the grid
+		 * ───────────────────────────────────────
+		 */
+		if (this.fromElement) {
+			gsap.to(this.fromElement, {
+				opacity: 0,
+				duration: 0.4,
+				ease: 'sine.out',
+			});
+		}
+
+		gsap.set(to, { opacity: 0 });
+
+		const readyDelay = this.fromElement ? 0.4 : 0;
+
+		gsap.delayedCall(readyDelay, () => {
+			// Restores the scroll position, then the plane takes off
+			animationComplete();
+
+			/*
+			 * ───────────────────────────────────────
+			 *  Reveal on WebGL handoff
+			 *  Fallback after 3s if the flight
+			 *  never lands (thumbnail gone)
+			 * ───────────────────────────────────────
+			 */
+			revealOnHandoff(to);
+		});
+	}
+}
@@ -0,0 +1,30 @@
+import { gsap } from 'gsap';
+import emitter from '@utils/Emitter';
+
+/**
+ * Fade the incoming view in on TransitionController's handoff
+ * (`webgl:transition:handoff`), or after `timeout` seconds if the
+ * flight never lands (mobile, missing hero or thumbnail). Whichever
+ * comes first cancels the other, so it reveals once and leaves no
+ * listener behind.
+ * @param {HTMLElement} to - the incoming [data-taxi-view]
+ * @param {number} [timeout] - fallback, in seconds
+ */
+export const revealOnHandoff = (to, timeout = 3) => {
+	const reveal = () => {
+		emitter.off('webgl:transition:handoff', reveal);
+		fallback.kill();
+
+		gsap.to(to, {
+			opacity: 1,
+			duration: 0.4,
+			ease: 'sine.in',
+			onComplete: () => {
+				gsap.set(to, { clearProps: 'opacity' });
+			},
+		});
+	};
+
+	emitter.on('webgl:transition:handoff', reveal);
+	const fallback = gsap.delayedCall(timeout, reveal);
+};
@@ -5,9 +5,16 @@ import SmoothScroll from '@utils/SmoothScroll';
 import Components from '@components';
 import emitter from '@utils/Emitter';
 import GlobalTransition from './global/GlobalEnter';
+import FlightReturnTransition from './global/FlightReturn';
 import Animation from '@/animations';
 import ThemeSwitch from '@utils/ThemeSwitch';
 import { isMobile } from '@utils/device';
+import Router from '@utils/Router';
+import TexturePrefetcher from './TexturePrefetcher';
+import { sortRules, findRule } from './rules';
+
+const LINKS =
+	'a:not([target]):not([href^=\\#]):not([data-taxi-ignore])';
 
 /**
  * TransitionManager — orchestrates page routing via Taxi.
@@ -17,14 +24,44 @@ import { isMobile } from '@utils/device';
  *   - Emit transition:start / transition:complete events
  *   - Reinitialize DOM components
  *
+ * Back/forward normally fades (GlobalEnter). When TransitionController
+ * flies a hero plane back to the grid it came from, it emits
+ * webgl:transition:return and the route plays FlightReturn instead,
+ * restoring the grid's scroll position before the plane lands.
+ *
+ * Desktop also warms WebGL textures for hovered / visible links
+ * (TexturePrefetcher) — mobile has no Canvas to use them.
+ *
+ * Page-specific transitions are picked by route name (utils/Router —
+ * the same match Canvas uses for the WebGL page), and get both routes
+ * in onEnter's args: `onEnter({ to, route, from }, done)`.
+ *
+ * `transitionRules` choose by origin and trigger too ({ from, to,
+ * trigger }, see ./rules) — e.g. a next-project link between two
+ * projects. They're tried first, after a return flight; a navigation
+ * no rule matches picks as above. Desktop only, like page-specific
+ * transitions.
+ *
  * To add page-specific transitions:
  *   1. Create a class extending Transition in transitions/pages/
- *   2. Pass it in the pageTransitions config
+ *   2. Pass it in the pageTransitions config, keyed by route name,
+ *      or in a transitionRules entry
  */
 export default class TransitionManager {
-	constructor({ pageTransitions = {}, deferDomInit = false } = {}) {
+	constructor({
+		pageTransitions = {},
+		transitionRules = [],
+		deferDomInit = false,
+	} = {}) {
 		this.scroll = new SmoothScroll();
 		this.pageTransitions = pageTransitions;
+		this.transitionRules = sortRules(transitionRules);
+		// Route on screen — the `from` of the next navigation
+		this.route = Router.resolve();
+		this.returnFlight = null;
+		emitter.on('webgl:transition:return', (flight) => {
+			this.returnFlight = flight;
+		});
 		this.init();
 		this.themeSwitch = new ThemeSwitch();
 		if (!deferDomInit) this.initDom();
@@ -47,7 +84,7 @@ export default class TransitionManager {
 			return class extends GlobalTransition {
 				onLeave({ from, trigger, done }) {
 					scrollInstance.stopScroll();
-					emitter.emit('transition:start');
+					emitter.emit('transition:start', { trigger });
 
 					if (
 						from.hasAttribute('data-loader') ||
@@ -94,7 +131,7 @@ export default class TransitionManager {
 
 				scrollInstance.stopScroll();
 				document.documentElement.style.overflow = 'hidden';
-				emitter.emit('transition:start');
+				emitter.emit('transition:start', { trigger });
 
 				if (
 					from.hasAttribute('data-loader') ||
@@ -109,7 +146,7 @@ export default class TransitionManager {
 				super.onLeave({ from, trigger, done });
 			}
 
-			onEnter({ to, trigger, done }) {
+			onEnter({ to, trigger, route, from, done }) {
 				// Snap body + first-child background to new theme instantly
 				const firstChild = document.body.firstElementChild;
 				document.body.style.transition = 'none';
@@ -130,7 +167,7 @@ export default class TransitionManager {
 					this.fromElement.style.width = '100%';
 				}
 
-				super.onEnter({ to, trigger }, () => {
+				super.onEnter({ to, trigger, route, from }, () => {
 					if (manager.component) manager.component.destroy();
 					if (manager.animation) manager.animation.destroy();
 					if (this.fromElement) {
@@ -141,6 +178,12 @@ export default class TransitionManager {
 					to.classList.remove('is-transition');
 					document.documentElement.style.overflow = '';
 					scrollInstance.resize();
+
+					// Returning flight — land on the grid where it was left
+					if (manager.returnFlight) {
+						scrollInstance.scrollTo(manager.returnFlight.scroll);
+						manager.returnFlight = null;
+					}
 					scrollInstance.startScroll();
 					manager.animation = new Animation();
 					manager.component = new Components();
@@ -168,6 +211,10 @@ export default class TransitionManager {
 	 */
 	createRoute() {
 		const Global = this.createTransitions(GlobalTransition);
+		const FlightReturn = this.createTransitions(
+			FlightReturnTransition,
+		);
+		const manager = this;
 		const wrappedTransitions = {};
 
 		for (const [name, TransClass] of Object.entries(
@@ -176,46 +223,84 @@ export default class TransitionManager {
 			wrappedTransitions[name] = this.createTransitions(TransClass);
 		}
 
+		const wrappedRules = new Map(
+			this.transitionRules.map((rule) => [
+				rule,
+				this.createTransitions(rule.transition),
+			]),
+		);
+
 		return class extends Global {
 			constructor(options) {
 				super(options);
+				this.flightReturn = new FlightReturn(options);
 				this.specificTransitions = {};
 				for (const [name, WrappedClass] of Object.entries(
 					wrappedTransitions,
 				)) {
 					this.specificTransitions[name] = new WrappedClass(options);
 				}
+				this.ruleTransitions = new Map();
+				wrappedRules.forEach((WrappedClass, rule) => {
+					this.ruleTransitions.set(rule, new WrappedClass(options));
+				});
 			}
 
 			onEnter(args, done) {
-				// Back/forward button → always use GlobalEnter
-				if (!(args.trigger instanceof Element)) {
-					super.onEnter(args, done);
+				// The match Canvas will pick the WebGL page from
+				const route = Router.resolve(
+					window.location.pathname,
+					args.to,
+				);
+				// Still the origin — it moves on at NAVIGATE_END (init())
+				const from = manager.route;
+				const enterArgs = { ...args, route, from };
+				const isLink = args.trigger instanceof Element;
+
+				// A plane flies back — the restored grid waits for it
+				if (!isLink && manager.returnFlight) {
+					this.delegate(this.flightReturn, enterArgs, done);
 					return;
 				}
 
-				const path = window.location.pathname;
+				// From / to / trigger rules
+				const rule = findRule(manager.transitionRules, {
+					from: from?.name,
+					to: route?.name,
+					trigger: args.trigger,
+				});
+				if (rule) {
+					this.delegate(
+						this.ruleTransitions.get(rule),
+						enterArgs,
+						done,
+					);
+					return;
+				}
 
-				// Check if any page-specific transition matches the URL
-				for (const [name, trans] of Object.entries(
-					this.specificTransitions,
-				)) {
-					const isHome =
-						name === 'home' &&
-						(path === '/' ||
-							path === '/index' ||
-							path === '/index.html');
-					if (isHome || path.includes(name)) {
-						trans.fromElement = this.fromElement;
-						trans._navShouldReveal = this._navShouldReveal;
-						this._navShouldReveal = false;
-						trans.onEnter(args, done);
-						return;
-					}
+				// Back/forward button → GlobalEnter
+				if (!isLink) {
+					super.onEnter(enterArgs, done);
+					return;
+				}
+
+				// Page-specific transition for the route
+				const trans = route && this.specificTransitions[route.name];
+				if (trans) {
+					this.delegate(trans, enterArgs, done);
+					return;
 				}
 
 				// Fallback to global
-				super.onEnter(args, done);
+				super.onEnter(enterArgs, done);
+			}
+
+			// Enter through another wrapped transition, with this one's state
+			delegate(trans, args, done) {
+				trans.fromElement = this.fromElement;
+				trans._navShouldReveal = this._navShouldReveal;
+				this._navShouldReveal = false;
+				trans.onEnter(args, done);
 			}
 		};
 	}
@@ -236,10 +321,22 @@ export default class TransitionManager {
 		}
 
 		this.taxi = new Core({
-			links:
-				'a:not([target]):not([href^=\\#]):not([data-taxi-ignore])',
+			links: LINKS,
 			removeOldContent: false,
 			transitions,
 		});
+
+		// Every navigation ends here, whichever transition played it —
+		// named data-transition ones never reach the default router
+		this.taxi.on('NAVIGATE_END', ({ to }) => {
+			this.route = Router.resolve(
+				window.location.pathname,
+				to.content,
+			);
+		});
+
+		if (!mobile) {
+			this.prefetcher = new TexturePrefetcher(this.taxi, LINKS);
+		}
 	}
 }
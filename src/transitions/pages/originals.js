@@ -12,7 +12,7 @@ export default class OriginalsTransition extends Transition {
 	onEnter({ to }, animationComplete) {
 		// Prefetch textures — start downloads during fade-out window
 		to.querySelectorAll('[data-gl-img="true"]').forEach((img) => {
-			const src = img.getAttribute('data-gl-src') || img.src;
+			const { src } = TextureCache.pickSource(img);
 			if (src) TextureCache.load(src);
 		});
 
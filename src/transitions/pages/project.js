@@ -1,6 +1,6 @@
 import { Transition } from '@unseenco/taxi';
 import { gsap } from 'gsap';
-import emitter from '@utils/Emitter';
+import { revealOnHandoff } from '../handoff';
 
 export default class WorkTransition extends Transition {
 	onLeave({ done }) {
@@ -42,33 +42,12 @@ export default class WorkTransition extends Transition {
 			 *  Reveal on WebGL handoff
 			 *  Waits for TransitionController to
 			 *  emit handoff, then fades in new
-			 *  content underneath the WebGL plane
+			 *  content underneath the WebGL plane.
+			 *  Fallback reveal after 3s if it never
+			 *  fires (mobile, missing hero)
 			 * ───────────────────────────────────────
 			 */
-			const onHandoff = () => {
-				gsap.to(to, {
-					opacity: 1,
-					duration: 0.4,
-					ease: 'sine.in',
-					onComplete: () => {
-						gsap.set(to, { clearProps: 'opacity' });
-					},
-				});
-			};
-
-			emitter.once('webgl:transition:handoff', onHandoff);
-
-			/*
-			 * ───────────────────────────────────────
-			 *  Fallback reveal (3s timeout)
-			 *  If WebGL transition never fires
-			 *  (mobile, missing hero), force reveal
-			 * ───────────────────────────────────────
-			 */
-			gsap.delayedCall(3, () => {
-				emitter.off('webgl:transition:handoff', onHandoff);
-				onHandoff();
-			});
+			revealOnHandoff(to);
 		});
 	}
 }
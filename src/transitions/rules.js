@@ -0,0 +1,70 @@
+/**
+ * Transition rules — pick a page transition by where a navigation
+ * comes from, where it goes and what started it:
+ *
+ *   {
+ *     from: 'project',
+ *     to: 'project',
+ *     trigger: '[data-next-project]',
+ *     transition: NextProjectTransition,
+ *     priority: 10,
+ *   }
+ *
+ *   from / to   route name (utils/Router), an array of them, or '*'
+ *   trigger     selector the clicked element matches (closest()),
+ *               'popstate' for back/forward, or '*'
+ *
+ * A missing key is a wildcard. The highest `priority` (default 0)
+ * wins; ties go to the rule with fewer wildcards, then to the one
+ * declared first.
+ */
+
+const WILDCARD = '*';
+
+const isWildcard = (value) =>
+	value === undefined || value === WILDCARD;
+
+// Keys a rule pins down, for ties between equal priorities
+const specificity = (rule) =>
+	['from', 'to', 'trigger'].filter((key) => !isWildcard(rule[key]))
+		.length;
+
+const matchName = (value, name) =>
+	isWildcard(value) || [].concat(value).includes(name);
+
+const matchTrigger = (value, trigger) => {
+	if (isWildcard(value)) return true;
+	if (value === 'popstate') return trigger === 'popstate';
+	return trigger instanceof Element && !!trigger.closest(value);
+};
+
+/**
+ * Rules in the order they're tried.
+ * @param {Object[]} rules
+ * @returns {Object[]} a sorted copy
+ */
+export const sortRules = (rules) =>
+	rules
+		.map((rule, index) => ({ rule, index }))
+		.sort(
+			(a, b) =>
+				(b.rule.priority || 0) - (a.rule.priority || 0) ||
+				specificity(b.rule) - specificity(a.rule) ||
+				a.index - b.index,
+		)
+		.map(({ rule }) => rule);
+
+/**
+ * First rule (of sortRules() output) matching a navigation.
+ * @param {Object[]} rules
+ * @param {{ from?: string, to?: string, trigger: Element|string }} navigation
+ *   route names, and Taxi's trigger
+ * @returns {Object|null}
+ */
+export const findRule = (rules, { from, to, trigger }) =>
+	rules.find(
+		(rule) =>
+			matchName(rule.from, from) &&
+			matchName(rule.to, to) &&
+			matchTrigger(rule.trigger, trigger),
+	) || null;
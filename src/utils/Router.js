@@ -0,0 +1,139 @@
+/**
+ * Router — the route table shared by Canvas (which WebGL page) and
+ * TransitionManager (which page transition), so both resolve a URL
+ * from the same match.
+ *
+ *   Router.define([
+ *     { path: '/', name: 'home' },
+ *     { path: '/works/:slug', name: 'project' },
+ *   ]);
+ *   Router.match('/works/some-project');
+ *   // → { name: 'project', pattern: '/works/:slug', params: { slug: 'some-project' } }
+ *
+ * Patterns are whole paths of static and `:param` segments, one
+ * segment each. Trailing slashes, `/index` and `.html` are ignored.
+ *
+ * Precedence doesn't depend on table order: where two matching
+ * patterns first differ, the static segment beats the param
+ * (`/works/archive` over `/works/:slug`). Names never match inside
+ * other segments — `/works/the-originals-project` is a project.
+ *
+ * resolve() also honours `data-page` on the incoming view: a page
+ * name from the table wins over the URL, params still come from it.
+ */
+class Router {
+	constructor() {
+		this.routes = [];
+	}
+
+	/**
+	 * Replace the route table.
+	 * @param {{ path: string, name: string }[]} routes
+	 */
+	define(routes) {
+		this.routes = routes.map(({ path, name }) => ({
+			name,
+			pattern: path,
+			segments: split(normalize(path)),
+		}));
+	}
+
+	/**
+	 * Route for a URL path.
+	 * @param {string} [path] - defaults to the current location
+	 * @returns {{ name: string, pattern: string, params: Object }|null}
+	 */
+	match(path = window.location.pathname) {
+		const segments = split(normalize(path));
+		let best = null;
+
+		this.routes.forEach((route) => {
+			const params = matchSegments(route.segments, segments);
+			if (!params) return;
+			if (best && compare(route, best.route) >= 0) return;
+			best = { route, params };
+		});
+
+		if (!best) return null;
+		return {
+			name: best.route.name,
+			pattern: best.route.pattern,
+			params: best.params,
+		};
+	}
+
+	/**
+	 * Route for a page: its view's `data-page` when the table knows
+	 * that name, else the URL match.
+	 * @param {string} [path]
+	 * @param {Document|HTMLElement} [view] - incoming [data-taxi-view]
+	 * @returns {{ name: string, pattern: string|null, params: Object }|null}
+	 */
+	resolve(path = window.location.pathname, view = document) {
+		const match = this.match(path);
+		const page = pageAttribute(view);
+		if (
+			!page ||
+			page === match?.name ||
+			!this.routes.some((route) => route.name === page)
+		) {
+			return match;
+		}
+
+		return { name: page, pattern: null, params: match?.params || {} };
+	}
+}
+
+// `/index.html`, `/works/` → `/`, `/works`
+const normalize = (path) =>
+	path
+		.replace(/\.html$/, '')
+		.replace(/\/index$/, '/')
+		.replace(/\/+$/, '') || '/';
+
+const split = (path) => path.split('/').filter(Boolean);
+
+const isParam = (segment) => segment.startsWith(':');
+
+// A malformed escape (`%E0%A4%A`) stays as typed rather than throw
+const decode = (segment) => {
+	try {
+		return decodeURIComponent(segment);
+	} catch (_) {
+		return segment;
+	}
+};
+
+// Params of a pattern for path segments, null if it doesn't match
+const matchSegments = (pattern, segments) => {
+	if (pattern.length !== segments.length) return null;
+
+	const params = {};
+	for (let i = 0; i < pattern.length; i++) {
+		if (isParam(pattern[i])) {
+			params[pattern[i].slice(1)] = decode(segments[i]);
+		} else if (pattern[i] !== segments[i]) {
+			return null;
+		}
+	}
+	return params;
+};
+
+// < 0 when `a` takes precedence — static segment first, else table order
+const compare = (a, b) => {
+	for (let i = 0; i < a.segments.length; i++) {
+		const aParam = isParam(a.segments[i]);
+		if (aParam !== isParam(b.segments[i])) return aParam ? 1 : -1;
+	}
+	return 0;
+};
+
+// data-page of a view (or, for the document, the body / first one)
+const pageAttribute = (view) =>
+	view === document
+		? document.body.dataset.page ||
+			document.querySelector('[data-page]')?.dataset.page
+		: view?.dataset?.page ||
+			view?.querySelector?.('[data-page]')?.dataset.page;
+
+export default new Router();